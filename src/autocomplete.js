@@ -0,0 +1,279 @@
+// Inline `:query` autocomplete for emojis in a textarea.
+
+import { createPopper } from '@popperjs/core';
+
+const QUERY_PATTERN = /(?:^|[\s([{]):([a-zA-Z0-9_+-]{2,})$/;
+const MAX_RESULTS = 8;
+
+// Styles copied to the mirror element used to measure the caret position
+const MIRRORED_PROPERTIES = [
+    'boxSizing', 'width', 'overflowX', 'overflowY',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight', 'fontFamily',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize',
+];
+
+/**
+ * Measure the viewport rectangle of the caret in a textarea
+ * @param {HTMLTextAreaElement} el
+ * @param {number} position Caret offset in the value
+ * @returns {DOMRect}
+ */
+function getCaretRect(el, position) {
+    const style = window.getComputedStyle(el);
+    const mirror = document.createElement('div');
+    for (const property of MIRRORED_PROPERTIES) {
+        mirror.style[property] = style[property];
+    }
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.top = '0';
+    mirror.style.left = '0';
+    mirror.style.whiteSpace = 'pre-wrap';
+    mirror.style.overflowWrap = 'break-word';
+    mirror.textContent = el.value.slice(0, position);
+
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+
+    const elRect = el.getBoundingClientRect();
+    const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+    const left = elRect.left + parseFloat(style.borderLeftWidth) + marker.offsetLeft - el.scrollLeft;
+    const top = elRect.top + parseFloat(style.borderTopWidth) + marker.offsetTop - el.scrollTop;
+    mirror.remove();
+
+    return new DOMRect(left, top, 0, lineHeight);
+}
+
+/**
+ * Score how well a candidate string matches the query
+ * @param {string} query Lowercase query
+ * @param {string} candidate
+ * @returns {number} 0 if there is no match, higher is better
+ */
+function scoreCandidate(query, candidate) {
+    const value = String(candidate).toLowerCase();
+    if (value === query) {
+        return 100;
+    }
+    if (value.startsWith(query)) {
+        return 80;
+    }
+    if (value.split(/[\s_-]+/).some(word => word.startsWith(query))) {
+        return 60;
+    }
+    if (value.includes(query)) {
+        return 40;
+    }
+
+    // Subsequence match, e.g. "thup" for "thumbsup"
+    let index = 0;
+    for (const char of value) {
+        if (char === query[index]) {
+            index++;
+            if (index === query.length) {
+                return 20;
+            }
+        }
+    }
+    return 0;
+}
+
+/**
+ * Score an emoji against the query using its ID, name and keywords
+ * @param {string} query Lowercase query
+ * @param {{id: string, name: string, keywords?: string[]}} emoji
+ * @returns {number}
+ */
+function scoreEmoji(query, emoji) {
+    let score = Math.max(scoreCandidate(query, emoji.id), scoreCandidate(query, emoji.name));
+    for (const keyword of emoji.keywords || []) {
+        score = Math.max(score, scoreCandidate(query, keyword) * 0.8);
+    }
+    return score;
+}
+
+/**
+ * Find the best matching emojis for a query
+ * @param {string} query
+ * @param {Array} emojis emoji-mart emoji objects
+ * @returns {Array}
+ */
+export function searchEmojis(query, emojis) {
+    const lowerQuery = query.toLowerCase();
+    return emojis
+        .map(emoji => ({ emoji, score: scoreEmoji(lowerQuery, emoji) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.emoji.id.length - b.emoji.id.length)
+        .slice(0, MAX_RESULTS)
+        .map(result => result.emoji);
+}
+
+/**
+ * Convert an emoji-mart data entry into the object passed to `onEmojiSelect`
+ * @param {Object} emoji
+ * @returns {{id: string, name: string, native?: string, src?: string}}
+ */
+function toSelection(emoji) {
+    const skin = emoji.skins?.[0] || {};
+    return skin.src
+        ? { id: emoji.id, name: emoji.name, src: skin.src }
+        : { id: emoji.id, name: emoji.name, native: skin.native };
+}
+
+/**
+ * Attach an emoji autocomplete popup to a textarea
+ * @param {HTMLTextAreaElement} textarea
+ * @param {Object} options
+ * @param {() => Array} options.getEmojis Returns the emoji-mart emoji objects to search
+ * @param {(emoji: {id: string, name: string, native?: string, src?: string}) => void} options.onSelect Called after the query was removed from the textarea
+ * @returns {{close: () => void}}
+ */
+export function createEmojiAutocomplete(textarea, { getEmojis, onSelect }) {
+    const popup = document.createElement('div');
+    popup.id = 'emojiAutocomplete';
+    popup.setAttribute('role', 'listbox');
+    popup.classList.add('displayNone');
+    document.body.appendChild(popup);
+
+    const caretReference = { getBoundingClientRect: () => new DOMRect() };
+    const popper = createPopper(caretReference, popup, {
+        placement: 'bottom-start',
+        modifiers: [{ name: 'offset', options: { offset: [0, 4] } }],
+    });
+
+    let results = [];
+    let activeIndex = 0;
+    let queryStart = -1;
+
+    function isOpen() {
+        return !popup.classList.contains('displayNone');
+    }
+
+    function close() {
+        popup.classList.add('displayNone');
+        results = [];
+        queryStart = -1;
+    }
+
+    function highlight(index) {
+        activeIndex = (index + results.length) % results.length;
+        popup.querySelectorAll('.emojiAutocompleteItem').forEach((item, itemIndex) => {
+            const active = itemIndex === activeIndex;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    function select(index) {
+        const emoji = results[index];
+        const caret = textarea.selectionStart;
+        if (!emoji || queryStart < 0) {
+            close();
+            return;
+        }
+        textarea.setRangeText('', queryStart, caret, 'end');
+        close();
+        onSelect(toSelection(emoji));
+    }
+
+    function render() {
+        popup.innerHTML = '';
+        results.forEach((emoji, index) => {
+            const selection = toSelection(emoji);
+            const item = document.createElement('div');
+            item.classList.add('emojiAutocompleteItem');
+            item.setAttribute('role', 'option');
+
+            const preview = selection.src ? document.createElement('img') : document.createElement('span');
+            preview.classList.add('emojiAutocompletePreview');
+            if (selection.src) {
+                preview.src = selection.src;
+                preview.alt = emoji.name;
+            } else {
+                preview.textContent = selection.native;
+            }
+
+            const label = document.createElement('span');
+            label.textContent = `:${emoji.id}:`;
+
+            item.append(preview, label);
+            // Keep focus in the textarea while clicking
+            item.addEventListener('mousedown', e => e.preventDefault());
+            item.addEventListener('click', () => select(index));
+            item.addEventListener('mousemove', () => activeIndex !== index && highlight(index));
+            popup.appendChild(item);
+        });
+        highlight(0);
+    }
+
+    function update() {
+        const caret = textarea.selectionStart;
+        if (caret !== textarea.selectionEnd) {
+            close();
+            return;
+        }
+
+        const match = textarea.value.slice(0, caret).match(QUERY_PATTERN);
+        if (!match) {
+            close();
+            return;
+        }
+
+        results = searchEmojis(match[1], getEmojis());
+        if (results.length === 0) {
+            close();
+            return;
+        }
+
+        queryStart = caret - match[1].length - 1;
+        const caretRect = getCaretRect(textarea, queryStart);
+        caretReference.getBoundingClientRect = () => caretRect;
+        render();
+        popup.classList.remove('displayNone');
+        popper.update();
+    }
+
+    textarea.addEventListener('input', update);
+    textarea.addEventListener('blur', close);
+    textarea.addEventListener('click', update);
+
+    // Capture on the document so these keys are handled before SillyTavern's own textarea handlers
+    document.addEventListener('keydown', (e) => {
+        if (e.target !== textarea || !isOpen() || e.isComposing) {
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                highlight(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                highlight(activeIndex - 1);
+                break;
+            case 'Tab':
+            case 'Enter':
+                if (e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) {
+                    return;
+                }
+                select(activeIndex);
+                break;
+            case 'Escape':
+                close();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }, true);
+
+    return { close };
+}
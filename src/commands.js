@@ -0,0 +1,261 @@
+// STscript slash commands for inserting and managing emojis.
+
+import data from '@emoji-mart/data';
+import { toShortcode } from './shortcodes';
+import { getContext } from './context';
+import { getEmojiIdError, getImageUrlError } from './schema';
+import { isRemoteImageUrl, downloadImage, findBrokenImageLinks } from './remoteImages';
+import { getSettings } from './settings';
+
+/**
+ * Find a pack by ID or name
+ * @param {Array} packs
+ * @param {string} value
+ * @returns {Object|undefined}
+ */
+function findPack(packs, value) {
+    const lowerValue = value.toLowerCase();
+    return packs.find(pack => pack.id === value) || packs.find(pack => pack.name.toLowerCase() === lowerValue);
+}
+
+/**
+ * Resolve an emoji by custom ID or name, emoji-mart ID or alias, or native character.
+ * Surrounding colons are ignored, so shortcodes work too.
+ * @param {string} value
+ * @param {Array} customEmojis
+ * @returns {{id: string, name: string, native?: string, src?: string}|null}
+ */
+export function resolveEmoji(value, customEmojis) {
+    const query = value.trim().replace(/^:|:$/g, '');
+    const lowerQuery = query.toLowerCase();
+
+    const customEmoji = customEmojis.find(emoji => emoji.id === query)
+        || customEmojis.find(emoji => emoji.name.toLowerCase() === lowerQuery);
+    if (customEmoji) {
+        return { id: customEmoji.id, name: customEmoji.name, src: customEmoji.src };
+    }
+
+    const nativeEmoji = data.emojis[lowerQuery] || data.emojis[data.aliases[lowerQuery]]
+        || Object.values(data.emojis).find(emoji => emoji.skins?.some(skin => skin.native === query));
+    if (nativeEmoji?.skins?.[0]?.native) {
+        return { id: nativeEmoji.id, name: nativeEmoji.name, native: nativeEmoji.skins[0].native };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a comma-separated list
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function parseList(value) {
+    return String(value ?? '').split(',').map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Check whether a named boolean argument is set
+ * @param {string} [value]
+ * @returns {boolean}
+ */
+function isTrue(value) {
+    return ['true', 'on', '1', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Filter custom emojis by an optional pack argument
+ * @param {Object} api
+ * @param {string} [packArgument]
+ * @returns {Promise<Array>}
+ */
+async function getPackEmojis(api, packArgument) {
+    const customEmojis = await api.loadCustomEmojis();
+    if (!packArgument) {
+        return customEmojis;
+    }
+    const pack = findPack(await api.loadCustomPacks(), packArgument);
+    if (!pack) {
+        throw new Error(`Emoji pack "${packArgument}" not found`);
+    }
+    return customEmojis.filter(emoji => emoji.pack === pack.id);
+}
+
+/**
+ * Register the emoji slash commands
+ * @param {Object} api Extension functions used by the commands
+ * @param {() => Promise<Array>} api.loadCustomEmojis
+ * @param {() => Promise<Array>} api.loadCustomPacks
+ * @param {(id: string, name: string, source: string|Blob, keywords: string[], pack: string) => Promise<string|null>} api.addCustomEmoji
+ * @param {(id: string) => Promise<boolean>} api.removeCustomEmoji
+ * @param {(emoji: Object) => Promise<void>} api.insertEmoji
+ * @param {() => Promise<void>} api.onChange Called after the library was changed
+ */
+export function registerSlashCommands(api) {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = getContext();
+    if (!SlashCommandParser?.addCommandObject) {
+        console.warn('Emoji Picker: slash commands are not supported by this SillyTavern version');
+        return;
+    }
+
+    const packArgument = SlashCommandNamedArgument.fromProps({
+        name: 'pack',
+        description: 'pack ID or name',
+        typeList: [ARGUMENT_TYPE.STRING],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-insert',
+        callback: async (args, value) => {
+            const emoji = resolveEmoji(String(value ?? ''), await api.loadCustomEmojis());
+            if (!emoji) {
+                throw new Error(`Emoji "${value}" not found`);
+            }
+            if (!isTrue(args.quiet)) {
+                await api.insertEmoji(emoji);
+            }
+            return emoji.native ?? toShortcode(emoji.id);
+        },
+        returns: 'the inserted emoji or shortcode',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'quiet',
+                description: 'only return the emoji without inserting it',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'custom emoji ID or name, emoji-mart ID or shortcode',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Inserts an emoji into the message input. Example: <code>/emoji-insert smile</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-add',
+        callback: async (args) => {
+            const id = String(args.id ?? '').trim();
+            const url = String(args.url ?? '').trim();
+            const error = getEmojiIdError(id) ?? getImageUrlError(url);
+            if (error) {
+                throw new Error(error);
+            }
+
+            let pack;
+            if (args.pack) {
+                pack = findPack(await api.loadCustomPacks(), String(args.pack))?.id;
+                if (!pack) {
+                    throw new Error(`Emoji pack "${args.pack}" not found`);
+                }
+            }
+
+            const name = String(args.name ?? '').trim() || id;
+            // Without the argument, the setting for images added by URL applies
+            const local = args.local ? isTrue(args.local) : getSettings().cacheRemoteImages;
+            const source = local && isRemoteImageUrl(url) ? await downloadImage(url) : url;
+            // The ID changes if an emoji with the same ID is kept as well
+            const addedId = await api.addCustomEmoji(id, name, source, parseList(args.keywords), pack);
+            if (!addedId) {
+                return '';
+            }
+            await api.onChange();
+            return addedId;
+        },
+        returns: 'the ID of the added emoji, or an empty string on failure',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'id',
+                description: 'unique emoji ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'url',
+                description: 'image URL or data URL',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'display name, defaults to the ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'keywords',
+                description: 'comma-separated search keywords',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'local',
+                description: 'save a copy of the image instead of linking to it, defaults to the extension setting',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+            }),
+            packArgument,
+        ],
+        helpString: 'Adds a custom emoji from an image URL. Example: <code>/emoji-add id=wave url=https://example.com/wave.png keywords=hello,hi</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-remove',
+        callback: async (_args, value) => {
+            const id = String(value ?? '').trim().replace(/^:|:$/g, '');
+            if (!(await api.loadCustomEmojis()).some(emoji => emoji.id === id)) {
+                throw new Error(`Custom emoji "${id}" not found`);
+            }
+            if (!(await api.removeCustomEmoji(id))) {
+                return '';
+            }
+            await api.onChange();
+            return id;
+        },
+        returns: 'the ID of the removed emoji, or an empty string on failure',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'custom emoji ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Moves a custom emoji to the trash. Example: <code>/emoji-remove wave</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-list',
+        callback: async (args) => {
+            const emojis = await getPackEmojis(api, args.pack ? String(args.pack) : '');
+            return JSON.stringify(emojis.map(emoji => emoji.id));
+        },
+        returns: 'JSON array of custom emoji IDs',
+        namedArgumentList: [packArgument],
+        helpString: 'Lists custom emoji IDs, optionally from a single pack. Example: <code>/emoji-list pack=reactions</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-check-links',
+        callback: async (args) => {
+            const emojis = await getPackEmojis(api, args.pack ? String(args.pack) : '');
+            const brokenLinks = await findBrokenImageLinks(emojis);
+            return JSON.stringify(brokenLinks.map(link => link.id));
+        },
+        returns: 'JSON array of the IDs of custom emojis whose image link is broken',
+        namedArgumentList: [packArgument],
+        helpString: 'Checks the image links of custom emojis, optionally from a single pack. Images stored in the browser are skipped. Example: <code>/emoji-check-links | /echo {{pipe}}</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'emoji-random',
+        callback: async (args) => {
+            const emojis = await getPackEmojis(api, args.pack ? String(args.pack) : '');
+            if (emojis.length === 0) {
+                return '';
+            }
+            return toShortcode(emojis[Math.floor(Math.random() * emojis.length)].id);
+        },
+        returns: 'shortcode of a random custom emoji, or an empty string if there are none',
+        namedArgumentList: [packArgument],
+        helpString: 'Returns the shortcode of a random custom emoji. Example: <code>/emoji-random pack=reactions | /send {{pipe}}</code>',
+    }));
+}
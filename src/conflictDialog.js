@@ -0,0 +1,121 @@
+// Dialog for choosing what happens to new emojis that collide with stored ones.
+
+import { CONFLICT_ACTIONS, getDefaultConflictAction } from './duplicates';
+import { toShortcode } from './shortcodes';
+import { escapeHtml } from './utils';
+import { getFocusableElements, setupModalDialog } from './modal';
+
+const ACTION_LABELS = {
+    [CONFLICT_ACTIONS.SKIP]: 'Skip',
+    [CONFLICT_ACTIONS.OVERWRITE]: 'Overwrite',
+    [CONFLICT_ACTIONS.KEEP_BOTH]: 'Keep both',
+    [CONFLICT_ACTIONS.MERGE]: 'Merge keywords',
+};
+
+/**
+ * Explain why a new emoji conflicts
+ * @param {import('./duplicates').EmojiConflict} conflict
+ * @returns {string}
+ */
+function describeConflict({ sameId, sameImage }) {
+    if (sameId && sameImage === sameId) {
+        return `Already stored as ${toShortcode(sameId.id)}`;
+    }
+    const reasons = [];
+    if (sameId) {
+        reasons.push(`ID used by "${sameId.name}"`);
+    }
+    if (sameImage) {
+        reasons.push(`same image as ${toShortcode(sameImage.id)}${sameImage.isNew ? ' in this import' : ''}`);
+    }
+    const text = reasons.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Let the user resolve conflicts per emoji or for all of them at once
+ * @param {{id: string, name: string, source: Blob|string}[]} items New emojis
+ * @param {import('./duplicates').EmojiConflict[]} conflicts
+ * @returns {Promise<Map<number, string>|null>} Action for each conflicting index, or null if cancelled
+ */
+export function showConflictDialog(items, conflicts) {
+    const objectURLs = [];
+    const actionOptions = Object.entries(ACTION_LABELS)
+        .map(([action, label]) => `<option value="${action}">${label}</option>`)
+        .join('');
+
+    const dialog = document.createElement('div');
+    dialog.id = 'emojiConflictDialog';
+    dialog.classList.add('emojiPickerDialog');
+    dialog.innerHTML = `
+        <h3 id="emojiConflictTitle">Resolve Conflicts</h3>
+        <p>${conflicts.length} of ${items.length} emojis have the ID or the image of another emoji.</p>
+        <label for="emojiConflictAll">For all:</label>
+        <select id="emojiConflictAll">
+            <option value="">Choose for each emoji</option>
+            ${actionOptions}
+        </select>
+        <div id="emojiConflictList" class="emojiDialogList"></div>
+        <div class="emojiDialogButtons">
+            <button id="emojiConflictConfirm" class="emojiDialogConfirm">Continue</button>
+            <button id="emojiConflictCancel">Cancel</button>
+        </div>
+    `;
+
+    const list = dialog.querySelector('#emojiConflictList');
+    for (const conflict of conflicts) {
+        const item = items[conflict.index];
+        let src = item.source;
+        if (item.source instanceof Blob) {
+            src = URL.createObjectURL(item.source);
+            objectURLs.push(src);
+        }
+        const existing = conflict.sameId ?? conflict.sameImage;
+
+        const row = document.createElement('div');
+        row.classList.add('emojiDialogItem', 'emojiConflictItem');
+        row.innerHTML = `
+            <img src="${escapeHtml(src)}" alt="">
+            ${existing.src ? `<img src="${escapeHtml(existing.src)}" alt="" title="Existing emoji">` : ''}
+            <span class="emojiDialogName">
+                ${escapeHtml(item.name)} (${escapeHtml(item.id)})
+                <span class="emojiDialogStatus">${escapeHtml(describeConflict(conflict))}</span>
+            </span>
+            <select data-index="${conflict.index}" title="What to do with this emoji">${actionOptions}</select>
+        `;
+        row.querySelector('select').value = getDefaultConflictAction(conflict);
+        list.appendChild(row);
+    }
+
+    const selects = Array.from(list.querySelectorAll('select'));
+    const allSelect = dialog.querySelector('#emojiConflictAll');
+    allSelect.addEventListener('change', () => {
+        if (allSelect.value) {
+            selects.forEach(select => select.value = allSelect.value);
+        }
+    });
+    const updateAllSelect = () => {
+        allSelect.value = selects.every(select => select.value === selects[0].value) ? selects[0].value : '';
+    };
+    list.addEventListener('change', updateAllSelect);
+    updateAllSelect();
+
+    const previousFocus = document.activeElement;
+    document.body.appendChild(dialog);
+
+    return new Promise((resolve) => {
+        const close = (value) => {
+            objectURLs.forEach(url => URL.revokeObjectURL(url));
+            dialog.remove();
+            previousFocus?.focus?.();
+            resolve(value);
+        };
+        setupModalDialog(dialog, { labelledBy: 'emojiConflictTitle', onClose: () => close(null) });
+        (getFocusableElements(dialog)[0] ?? dialog).focus();
+
+        dialog.querySelector('#emojiConflictConfirm').addEventListener('click', () => {
+            close(new Map(selects.map(select => [Number(select.dataset.index), select.value])));
+        });
+        dialog.querySelector('#emojiConflictCancel').addEventListener('click', () => close(null));
+    });
+}
@@ -0,0 +1,7 @@
+/**
+ * Get the SillyTavern context object exposed to extensions
+ * @returns {Object}
+ */
+export function getContext() {
+    return window.SillyTavern.getContext();
+}
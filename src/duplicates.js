@@ -0,0 +1,159 @@
+// Conflicts between new emojis and the library: emojis with the same ID, or
+// with an identical image under any ID, and how each conflict is resolved.
+
+import { hashImage } from './images';
+
+export const CONFLICT_ACTIONS = Object.freeze({
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    KEEP_BOTH: 'keep_both',
+    MERGE: 'merge',
+});
+
+/**
+ * @typedef {Object} EmojiConflict
+ * @property {number} index Index of the new emoji
+ * @property {Object} [sameId] Stored emoji with the same ID
+ * @property {Object} [sameImage] Stored emoji, or an earlier new emoji, with an identical image
+ */
+
+/**
+ * @typedef {Object} ResolvedEmojis
+ * @property {Object[]} records Emojis to save
+ * @property {{added: number, overwritten: number, renamed: number, merged: number, skipped: number}} summary
+ */
+
+/**
+ * Hash an image, treating unreadable images as unique
+ * @param {Blob|string} source
+ * @returns {Promise<string|null>}
+ */
+async function tryHashImage(source) {
+    try {
+        return source ? await hashImage(source) : null;
+    } catch (error) {
+        console.warn('Emoji Picker: could not read an image to compare it', error);
+        return null;
+    }
+}
+
+/**
+ * Find the new emojis that collide with stored emojis or with each other
+ * @param {{id: string, name: string, source: Blob|string}[]} items New emojis
+ * @param {Array} emojis Stored emojis
+ * @returns {Promise<EmojiConflict[]>}
+ */
+export async function findEmojiConflicts(items, emojis) {
+    const emojisById = new Map(emojis.map(emoji => [emoji.id, emoji]));
+    const emojisByHash = new Map();
+    for (const emoji of emojis) {
+        // Stored emojis remember the hash of their image, only linked images are hashed here
+        const hash = emoji.hash ?? await tryHashImage(emoji.blob ?? emoji.url);
+        if (hash && !emojisByHash.has(hash)) {
+            emojisByHash.set(hash, emoji);
+        }
+    }
+
+    const conflicts = [];
+    for (const [index, item] of items.entries()) {
+        const hash = await tryHashImage(item.source);
+        const sameId = emojisById.get(item.id);
+        const sameImage = hash ? emojisByHash.get(hash) : undefined;
+        if (sameId || sameImage) {
+            conflicts.push({ index, sameId, sameImage });
+        }
+        // Later items are compared with this one as well
+        if (hash && !sameImage) {
+            emojisByHash.set(hash, { id: item.id, name: item.name, isNew: true });
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Action suggested for a conflict: identical images are merged, other ID collisions replace the stored emoji
+ * @param {EmojiConflict} conflict
+ * @returns {string}
+ */
+export function getDefaultConflictAction(conflict) {
+    return conflict.sameImage ? CONFLICT_ACTIONS.MERGE : CONFLICT_ACTIONS.OVERWRITE;
+}
+
+/**
+ * Add a numeric suffix to an ID until it is unused
+ * @param {string} id
+ * @param {Set<string>} takenIds
+ * @returns {string}
+ */
+export function createUniqueId(id, takenIds) {
+    let suffix = 2;
+    while (takenIds.has(`${id}_${suffix}`)) {
+        suffix++;
+    }
+    return `${id}_${suffix}`;
+}
+
+/**
+ * Apply the chosen actions and build the emojis to save
+ * @param {Object[]} records New emojis, ready to be stored
+ * @param {EmojiConflict[]} conflicts
+ * @param {Map<number, string>} actions Action for each conflicting index
+ * @param {Array} emojis Stored emojis
+ * @returns {ResolvedEmojis}
+ */
+export function resolveEmojiConflicts(records, conflicts, actions, emojis) {
+    const conflictsByIndex = new Map(conflicts.map(conflict => [conflict.index, conflict]));
+    const storedById = new Map(emojis.map(emoji => [emoji.id, emoji]));
+    const pending = new Map();
+    const takenIds = new Set(storedById.keys());
+    const summary = { added: 0, overwritten: 0, renamed: 0, merged: 0, skipped: 0 };
+
+    for (const [index, record] of records.entries()) {
+        const conflict = conflictsByIndex.get(index);
+        const action = conflict ? (actions.get(index) ?? getDefaultConflictAction(conflict)) : null;
+
+        if (action === CONFLICT_ACTIONS.SKIP) {
+            summary.skipped++;
+        } else if (action === CONFLICT_ACTIONS.OVERWRITE) {
+            // An emoji with the same image under another ID keeps its ID, so references to it still work
+            const targetId = (conflict.sameId ?? conflict.sameImage).id;
+            pending.set(targetId, { ...record, id: targetId });
+            summary.overwritten++;
+        } else if (action === CONFLICT_ACTIONS.MERGE) {
+            const targetId = (conflict.sameImage ?? conflict.sameId).id;
+            const target = pending.get(targetId) ?? storedById.get(targetId);
+            if (target) {
+                const keywords = [...new Set([...(target.keywords ?? []), ...record.keywords])];
+                pending.set(targetId, { ...target, keywords });
+                summary.merged++;
+            } else {
+                summary.skipped++;
+            }
+        } else if (takenIds.has(record.id) || pending.has(record.id)) {
+            const id = createUniqueId(record.id, new Set([...takenIds, ...pending.keys()]));
+            pending.set(id, { ...record, id });
+            summary.renamed++;
+        } else {
+            pending.set(record.id, record);
+            summary.added++;
+        }
+    }
+
+    return { records: Array.from(pending.values()), summary };
+}
+
+/**
+ * Describe the result of resolving conflicts
+ * @param {ResolvedEmojis['summary']} summary
+ * @returns {string}
+ */
+export function formatConflictSummary(summary) {
+    const parts = [
+        [summary.added, 'added'],
+        [summary.overwritten, 'overwritten'],
+        [summary.renamed, 'added with a new ID'],
+        [summary.merged, 'merged into existing emojis'],
+        [summary.skipped, 'skipped'],
+    ];
+    return parts.filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ') || 'Nothing changed';
+}
@@ -0,0 +1,51 @@
+// Errors thrown by the public API. The code tells callers what went wrong
+// without parsing the message.
+
+export const ERROR_CODES = Object.freeze({
+    INVALID_ARGUMENT: 'invalid_argument',
+    NOT_FOUND: 'not_found',
+    ALREADY_EXISTS: 'already_exists',
+    DUPLICATE_IMAGE: 'duplicate_image',
+    STORAGE_ERROR: 'storage_error',
+});
+
+export class EmojiPickerError extends Error {
+    /**
+     * @param {string} code One of `ERROR_CODES`
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {Object} [options.details] Values the error is about, such as the emoji ID
+     * @param {unknown} [options.cause] Error that caused this one
+     */
+    constructor(code, message, { details = {}, cause } = {}) {
+        super(message);
+        this.name = 'EmojiPickerError';
+        this.code = code;
+        this.details = details;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Plain representation, for logging or passing between frames
+     * @returns {{name: string, code: string, message: string, details: Object}}
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, details: this.details };
+    }
+}
+
+/**
+ * Wrap a storage failure, keeping errors that are already structured
+ * @param {unknown} error
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {EmojiPickerError}
+ */
+export function toStorageError(error, message, details) {
+    if (error instanceof EmojiPickerError) {
+        return error;
+    }
+    return new EmojiPickerError(ERROR_CODES.STORAGE_ERROR, message, { details, cause: error });
+}
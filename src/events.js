@@ -0,0 +1,53 @@
+// Minimal event emitter for the events of the public API.
+
+/**
+ * @typedef {Object} EventEmitter
+ * @property {(type: string, listener: (detail: Object) => void) => () => void} on Add a listener, returns a function that removes it
+ * @property {(type: string, listener: (detail: Object) => void) => void} off
+ * @property {(type: string, listener: (detail: Object) => void) => () => void} once Add a listener that is removed after its first call
+ * @property {(type: string, detail: Object) => void} emit
+ */
+
+/**
+ * Create an event emitter. A failing listener does not stop the others.
+ * @returns {EventEmitter}
+ */
+export function createEventEmitter() {
+    /** @type {Map<string, Set<Function>>} */
+    const listeners = new Map();
+
+    function on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError('The listener must be a function');
+        }
+        if (!listeners.has(type)) {
+            listeners.set(type, new Set());
+        }
+        listeners.get(type).add(listener);
+        return () => off(type, listener);
+    }
+
+    function off(type, listener) {
+        listeners.get(type)?.delete(listener);
+    }
+
+    function once(type, listener) {
+        const remove = on(type, (detail) => {
+            remove();
+            listener(detail);
+        });
+        return remove;
+    }
+
+    function emit(type, detail) {
+        for (const listener of [...(listeners.get(type) ?? [])]) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Emoji Picker: error in a "${type}" listener`, error);
+            }
+        }
+    }
+
+    return { on, off, once, emit };
+}
@@ -0,0 +1,96 @@
+// Dialog for choosing which packs and emojis go into an export.
+
+import { escapeHtml } from './utils';
+import { getFocusableElements, setupModalDialog } from './modal';
+
+/**
+ * Let the user pick packs and emojis to export
+ * @param {Array} emojis
+ * @param {Array} packs
+ * @returns {Promise<string[]|null>} IDs of the selected emojis, or null if the export was cancelled
+ */
+export function showExportDialog(emojis, packs) {
+    const dialog = document.createElement('div');
+    dialog.id = 'emojiExportDialog';
+    dialog.classList.add('emojiPickerDialog');
+    dialog.innerHTML = `
+        <h3 id="emojiExportTitle">Export Emojis</h3>
+        <label class="emojiDialogSelectAll"><input type="checkbox" id="emojiExportSelectAll" checked> Select all</label>
+        <div id="emojiExportList" class="emojiDialogList"></div>
+        <div class="emojiDialogButtons">
+            <button id="emojiExportConfirm" class="emojiDialogConfirm">Export</button>
+            <button id="emojiExportCancel">Cancel</button>
+        </div>
+    `;
+
+    const list = dialog.querySelector('#emojiExportList');
+    for (const pack of packs) {
+        const packEmojis = emojis.filter(emoji => emoji.pack === pack.id);
+        if (packEmojis.length === 0) {
+            continue;
+        }
+
+        const group = document.createElement('details');
+        group.classList.add('emojiExportPack');
+        group.innerHTML = `
+            <summary>
+                <input type="checkbox" class="emojiExportPackToggle" checked title="Export this pack">
+                ${escapeHtml(pack.icon)} ${escapeHtml(pack.name)} (${packEmojis.length})
+            </summary>
+            ${packEmojis.map(emoji => `
+                <label class="emojiDialogItem">
+                    <input type="checkbox" class="emojiExportItem" value="${escapeHtml(emoji.id)}" checked>
+                    <img src="${escapeHtml(emoji.src)}" alt="">
+                    <span class="emojiDialogName">${escapeHtml(emoji.name)} (${escapeHtml(emoji.id)})</span>
+                </label>
+            `).join('')}
+        `;
+        list.appendChild(group);
+    }
+
+    const confirmButton = dialog.querySelector('#emojiExportConfirm');
+    const getItemCheckboxes = (root = list) => Array.from(root.querySelectorAll('.emojiExportItem'));
+    const update = () => {
+        // Reflect partial selections on the pack checkboxes
+        list.querySelectorAll('.emojiExportPack').forEach(group => {
+            const items = getItemCheckboxes(group);
+            const checkedCount = items.filter(item => item.checked).length;
+            const toggle = group.querySelector('.emojiExportPackToggle');
+            toggle.checked = checkedCount === items.length;
+            toggle.indeterminate = checkedCount > 0 && checkedCount < items.length;
+        });
+        const count = getItemCheckboxes().filter(item => item.checked).length;
+        confirmButton.textContent = `Export ${count}`;
+        confirmButton.disabled = count === 0;
+    };
+
+    list.addEventListener('change', (e) => {
+        if (e.target.classList.contains('emojiExportPackToggle')) {
+            getItemCheckboxes(e.target.closest('.emojiExportPack')).forEach(item => item.checked = e.target.checked);
+        }
+        update();
+    });
+    dialog.querySelector('#emojiExportSelectAll').addEventListener('change', (e) => {
+        getItemCheckboxes().forEach(item => item.checked = e.target.checked);
+        update();
+    });
+    update();
+
+    const previousFocus = document.activeElement;
+    document.body.appendChild(dialog);
+
+    return new Promise((resolve) => {
+        const close = (value) => {
+            dialog.remove();
+            previousFocus?.focus?.();
+            resolve(value);
+        };
+        setupModalDialog(dialog, { labelledBy: 'emojiExportTitle', onClose: () => close(null) });
+        (getFocusableElements(dialog)[0] ?? dialog).focus();
+
+        confirmButton.addEventListener('click', () => {
+            close(getItemCheckboxes().filter(item => item.checked).map(item => item.value));
+        });
+        dialog.querySelector('#emojiExportCancel').addEventListener('click', () => close(null));
+    });
+}
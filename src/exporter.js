@@ -0,0 +1,78 @@
+// ZIP export of custom emojis: real image files plus a versioned manifest.
+
+import { zipSync, strToU8 } from 'fflate';
+import { getExtensionFromType, getImageTypeFromName, isAllowedImageType } from './images';
+import { isRemoteImageUrl } from './remoteImages';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_FORMAT = 'sillytavern-emoji-picker';
+export const MANIFEST_SCHEMA_VERSION = 2;
+
+/**
+ * Load the image of an emoji stored in the user's files on the SillyTavern server
+ * @param {{id: string, url: string}} emoji
+ * @returns {Promise<Blob>}
+ */
+async function loadServerImage(emoji) {
+    const response = await fetch(emoji.url);
+    if (!response.ok) {
+        throw new Error(`The image of "${emoji.id}" could not be loaded: ${response.status} ${response.statusText}`.trim());
+    }
+    const blob = await response.blob();
+    const type = isAllowedImageType(blob.type) ? blob.type : getImageTypeFromName(emoji.url);
+    return type && type !== blob.type ? new Blob([blob], { type }) : blob;
+}
+
+/**
+ * Build a ZIP archive with the given emojis and the packs they belong to.
+ *
+ * Layout:
+ * - `manifest.json`: `{format, schemaVersion, exportedAt, packs, emojis}`
+ * - `images/<id>.<ext>`: image of every emoji stored in the browser or on the SillyTavern server
+ *
+ * Emojis linked to other sites are listed in the manifest with their `url` instead of a file.
+ * @param {Array} emojis
+ * @param {Array} packs
+ * @returns {Promise<Blob>}
+ * @throws {Error} If an image on the SillyTavern server cannot be loaded
+ */
+export async function createExportArchive(emojis, packs) {
+    const files = {};
+    const manifestEmojis = [];
+
+    for (const emoji of emojis) {
+        const entry = {
+            id: emoji.id,
+            name: emoji.name,
+            keywords: emoji.keywords,
+            pack: emoji.pack,
+            added: emoji.added,
+            order: emoji.order,
+        };
+        // Files on the SillyTavern server do not exist where the archive is imported
+        const blob = emoji.blob ?? (isRemoteImageUrl(emoji.url) ? null : await loadServerImage(emoji));
+        if (blob) {
+            entry.file = `images/${emoji.id}.${getExtensionFromType(blob.type)}`;
+            entry.type = blob.type;
+            // Images are already compressed, so store them as-is
+            files[entry.file] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+        } else {
+            entry.url = emoji.url;
+        }
+        manifestEmojis.push(entry);
+    }
+
+    const usedPacks = new Set(emojis.map(emoji => emoji.pack));
+    const manifest = {
+        format: MANIFEST_FORMAT,
+        schemaVersion: MANIFEST_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        packs: packs
+            .filter(pack => usedPacks.has(pack.id))
+            .map(({ id, name, icon, order, scope }) => ({ id, name, icon, order, scope })),
+        emojis: manifestEmojis,
+    };
+    files[MANIFEST_FILE] = strToU8(JSON.stringify(manifest, null, 2));
+
+    return new Blob([zipSync(files)], { type: 'application/zip' });
+}
@@ -0,0 +1,87 @@
+// Keyboard shortcuts stored as text, such as "Ctrl+Shift+Period".
+// Keys are identified by their physical position, so shortcuts work with any layout.
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODIFIER_ALIASES = { control: 'Ctrl', ctrl: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta' };
+const MODIFIER_CODES = /^(Control|Shift|Alt|Meta|OS)(Left|Right)?$/;
+// Characters typed for a key, by the name of the key on a US layout
+const CHARACTER_KEYS = { '.': 'Period', ',': 'Comma', '/': 'Slash', ';': 'Semicolon', '\'': 'Quote', '[': 'BracketLeft', ']': 'BracketRight', '\\': 'Backslash', '-': 'Minus', '=': 'Equal', '`': 'Backquote' };
+const KEY_ALIASES = { esc: 'Escape', return: 'Enter', del: 'Delete', ins: 'Insert', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', pgup: 'PageUp', pgdn: 'PageDown' };
+// Names of the keys a shortcut can use, by their lowercase form. These are the `KeyboardEvent.code`
+// values of the UI Events specification, without the `Key` and `Digit` prefixes.
+const KEY_NAMES = new Map([
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    ...Object.values(CHARACTER_KEYS),
+    'Space', 'Enter', 'Tab', 'Backspace', 'Escape', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ContextMenu', 'CapsLock', 'NumLock', 'ScrollLock', 'PrintScreen', 'Pause', 'Help',
+    'IntlBackslash', 'IntlRo', 'IntlYen', 'Convert', 'NonConvert', 'KanaMode', 'Lang1', 'Lang2', 'Lang3', 'Lang4', 'Lang5',
+    ...Array.from({ length: 24 }, (_, index) => `F${index + 1}`),
+    ...[...'0123456789', 'Add', 'Subtract', 'Multiply', 'Divide', 'Decimal', 'Enter', 'Equal', 'Comma', 'Backspace', 'Clear',
+        'Hash', 'Star', 'ParenLeft', 'ParenRight'].map(key => `Numpad${key}`),
+    'BrowserBack', 'BrowserForward', 'BrowserHome', 'BrowserRefresh', 'BrowserSearch', 'BrowserFavorites', 'BrowserStop',
+    'AudioVolumeUp', 'AudioVolumeDown', 'AudioVolumeMute', 'MediaPlayPause', 'MediaStop', 'MediaTrackNext', 'MediaTrackPrevious',
+    'MediaSelect', 'LaunchApp1', 'LaunchApp2', 'LaunchMail',
+].map(name => [name.toLowerCase(), name]));
+
+/**
+ * Get the name of the key of a keyboard event, without the `Key` and `Digit` prefixes
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+function getKeyName(event) {
+    return event.code.replace(/^(Key|Digit)/, '');
+}
+
+/**
+ * Describe the key combination of a keyboard event
+ * @param {KeyboardEvent} event
+ * @returns {string|null} The shortcut, or null if only modifiers are pressed
+ */
+export function formatHotkey(event) {
+    if (!event.code || MODIFIER_CODES.test(event.code)) {
+        return null;
+    }
+    const pressed = { Ctrl: event.ctrlKey, Alt: event.altKey, Shift: event.shiftKey, Meta: event.metaKey };
+    return [...MODIFIERS.filter(modifier => pressed[modifier]), getKeyName(event)].join('+');
+}
+
+/**
+ * Get the key name used in shortcuts for a key typed by hand
+ * @param {string} key A character, such as ".", or a key name, such as "Period" or "KeyA"
+ * @returns {string|undefined} Undefined if no key is known by that name
+ */
+function getTypedKeyName(key) {
+    const name = CHARACTER_KEYS[key] ?? KEY_ALIASES[key.toLowerCase()] ?? key.replace(/^(Key|Digit)(?=.$)/i, '');
+    return KEY_NAMES.get(name.toLowerCase());
+}
+
+/**
+ * Normalize a shortcut typed by hand, so modifiers can be in any order and case,
+ * and keys can be given by the character they type
+ * @param {string} hotkey
+ * @returns {string|null} An empty string if no shortcut is given,
+ * or null if the shortcut cannot be pressed, such as "Ctrl+!" or "Ctrl"
+ */
+export function normalizeHotkey(hotkey) {
+    const parts = String(hotkey ?? '').split('+').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+        return '';
+    }
+    const keyName = getTypedKeyName(parts.pop());
+    const modifiers = new Set(parts.map(part => MODIFIER_ALIASES[part.toLowerCase()]));
+    if (!keyName || modifiers.has(undefined)) {
+        return null;
+    }
+    return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), keyName].join('+');
+}
+
+/**
+ * Whether a keyboard event matches a shortcut
+ * @param {KeyboardEvent} event
+ * @param {string} hotkey Empty to disable the shortcut
+ * @returns {boolean}
+ */
+export function matchesHotkey(event, hotkey) {
+    const normalized = normalizeHotkey(hotkey);
+    return Boolean(normalized) && !event.isComposing && formatHotkey(event)?.toLowerCase() === normalized.toLowerCase();
+}
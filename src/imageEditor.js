@@ -0,0 +1,299 @@
+// Canvas-based processing of uploaded emoji images: alpha-preserving trim,
+// square crop with zoom and pan, downscaling and format conversion.
+
+import { getExtensionFromType } from './images';
+
+const VIEWPORT_SIZE = 200;
+const MAX_ZOOM = 8;
+export const KEEP_ORIGINAL_FORMAT = 'original';
+
+/**
+ * @typedef {Object} ImageProcessingOptions
+ * @property {number} size Maximum width and height of the output in pixels
+ * @property {string} format Output MIME type, or `KEEP_ORIGINAL_FORMAT` to skip processing
+ * @property {boolean} trim Whether to trim fully transparent borders
+ */
+
+/** @type {ImageProcessingOptions} */
+export const DEFAULT_IMAGE_OPTIONS = Object.freeze({
+    size: 128,
+    format: 'image/webp',
+    trim: true,
+});
+
+/**
+ * Decode an image blob
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The selected file could not be decoded as an image'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Find the bounding box of pixels that are not fully transparent
+ * @param {HTMLImageElement} image
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function findOpaqueBounds(image) {
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    let top = height, left = width, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] !== 0) {
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+
+    if (right === -1) {
+        // Fully transparent image, keep it as is
+        return { x: 0, y: 0, width, height };
+    }
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Encode a canvas to a blob
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode the image')), type, 0.9);
+    });
+}
+
+/**
+ * Create the crop editor and processing controls for an uploaded image
+ * @param {HTMLElement} container Element that receives the editor
+ * @param {File} file Original image file
+ * @param {Object} [options]
+ * @param {ImageProcessingOptions} [options.defaults] Initial processing options
+ * @param {(result: {blob: Blob, width: number, height: number}) => void} [options.onProcessed] Called when a new result is available
+ * @returns {Promise<{process: () => Promise<Blob>, destroy: () => void}>}
+ */
+export async function createImageEditor(container, file, { defaults = DEFAULT_IMAGE_OPTIONS, onProcessed } = {}) {
+    const image = await loadImage(file);
+    // Canvas output would drop the animation of GIFs
+    const isAnimated = file.type === 'image/gif';
+
+    container.innerHTML = `
+        <div class="emojiImageEditor">
+            <canvas class="emojiCropCanvas" width="${VIEWPORT_SIZE}" height="${VIEWPORT_SIZE}" title="Drag to pan, scroll to zoom"></canvas>
+            <input type="range" class="emojiCropZoom" min="1" max="${MAX_ZOOM}" step="0.01" value="1" title="Zoom">
+            <div class="emojiImageOptions">
+                <label>Size <input type="number" class="emojiImageSize" min="16" max="1024" step="1" value="${defaults.size}"> px</label>
+                <label>Format
+                    <select class="emojiImageFormat">
+                        <option value="image/webp">WebP</option>
+                        <option value="image/png">PNG</option>
+                        <option value="${KEEP_ORIGINAL_FORMAT}">Keep original</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" class="emojiImageTrim" ${defaults.trim ? 'checked' : ''}> Trim empty borders</label>
+            </div>
+            <div class="emojiImageResult"></div>
+        </div>
+    `;
+
+    const canvas = container.querySelector('.emojiCropCanvas');
+    const ctx = canvas.getContext('2d');
+    const zoomInput = container.querySelector('.emojiCropZoom');
+    const sizeInput = container.querySelector('.emojiImageSize');
+    const formatSelect = container.querySelector('.emojiImageFormat');
+    const trimInput = container.querySelector('.emojiImageTrim');
+    const resultDiv = container.querySelector('.emojiImageResult');
+
+    formatSelect.value = isAnimated ? KEEP_ORIGINAL_FORMAT : defaults.format;
+
+    const fullBounds = { x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight };
+    let trimmedBounds = null;
+    let resultURL = null;
+    let processTimeout = null;
+
+    // Crop state in viewport pixels: `scale` maps source pixels to the viewport,
+    // `centerX`/`centerY` is where the center of the source region is drawn.
+    const state = { bounds: fullBounds, baseScale: 1, scale: 1, centerX: VIEWPORT_SIZE / 2, centerY: VIEWPORT_SIZE / 2 };
+
+    function isProcessing() {
+        return formatSelect.value !== KEEP_ORIGINAL_FORMAT;
+    }
+
+    function getBounds() {
+        if (!trimInput.checked) {
+            return fullBounds;
+        }
+        trimmedBounds = trimmedBounds || findOpaqueBounds(image);
+        return trimmedBounds;
+    }
+
+    function resetCrop() {
+        state.bounds = getBounds();
+        // Start with the whole region visible
+        state.baseScale = VIEWPORT_SIZE / Math.max(state.bounds.width, state.bounds.height);
+        state.scale = state.baseScale;
+        state.centerX = VIEWPORT_SIZE / 2;
+        state.centerY = VIEWPORT_SIZE / 2;
+        zoomInput.value = '1';
+    }
+
+    function drawRegion(targetCtx, factor) {
+        const { bounds, scale, centerX, centerY } = state;
+        const width = bounds.width * scale * factor;
+        const height = bounds.height * scale * factor;
+        targetCtx.drawImage(
+            image,
+            bounds.x, bounds.y, bounds.width, bounds.height,
+            centerX * factor - width / 2, centerY * factor - height / 2, width, height,
+        );
+    }
+
+    function draw() {
+        ctx.clearRect(0, 0, VIEWPORT_SIZE, VIEWPORT_SIZE);
+        ctx.imageSmoothingQuality = 'high';
+        drawRegion(ctx, 1);
+    }
+
+    async function process() {
+        if (!isProcessing()) {
+            return file;
+        }
+
+        // Never upscale beyond the resolution of the cropped region
+        const sourceSize = Math.round(VIEWPORT_SIZE / state.scale);
+        const outputSize = Math.max(1, Math.min(Number(sizeInput.value) || defaults.size, sourceSize));
+        const output = document.createElement('canvas');
+        output.width = outputSize;
+        output.height = outputSize;
+        const outputCtx = output.getContext('2d');
+        outputCtx.imageSmoothingQuality = 'high';
+        drawRegion(outputCtx, outputSize / VIEWPORT_SIZE);
+
+        const blob = await canvasToBlob(output, formatSelect.value);
+        // Browsers without an encoder for the format fall back to PNG
+        return new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.${getExtensionFromType(blob.type)}`, { type: blob.type });
+    }
+
+    async function updateResult() {
+        try {
+            const blob = await process();
+            const processedImage = blob === file ? image : await loadImage(blob);
+            if (resultURL) {
+                URL.revokeObjectURL(resultURL);
+            }
+            resultURL = URL.createObjectURL(blob);
+            resultDiv.innerHTML = `
+                <img src="${resultURL}" alt="Processed preview">
+                <p>Original: ${(file.size / 1024).toFixed(1)}KB, ${image.naturalWidth}×${image.naturalHeight}</p>
+                <p>Result: ${(blob.size / 1024).toFixed(1)}KB, ${processedImage.naturalWidth}×${processedImage.naturalHeight}</p>
+            `;
+            onProcessed?.({ blob, width: processedImage.naturalWidth, height: processedImage.naturalHeight });
+        } catch (error) {
+            console.error('Error processing image:', error);
+            resultDiv.textContent = error.message;
+        }
+    }
+
+    function scheduleUpdate() {
+        clearTimeout(processTimeout);
+        processTimeout = setTimeout(updateResult, 150);
+    }
+
+    function setZoom(zoom) {
+        const clampedZoom = Math.min(MAX_ZOOM, Math.max(1, zoom));
+        state.scale = state.baseScale * clampedZoom;
+        zoomInput.value = String(clampedZoom);
+        draw();
+        scheduleUpdate();
+    }
+
+    function updateControls() {
+        const enabled = isProcessing();
+        canvas.classList.toggle('disabled', !enabled);
+        zoomInput.disabled = !enabled;
+        sizeInput.disabled = !enabled;
+        trimInput.disabled = !enabled;
+    }
+
+    zoomInput.addEventListener('input', () => setZoom(Number(zoomInput.value)));
+    canvas.addEventListener('wheel', (e) => {
+        if (!isProcessing()) return;
+        e.preventDefault();
+        setZoom(Number(zoomInput.value) * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!isProcessing()) return;
+        canvas.setPointerCapture(e.pointerId);
+        let lastX = e.clientX;
+        let lastY = e.clientY;
+        const onMove = (moveEvent) => {
+            state.centerX += moveEvent.clientX - lastX;
+            state.centerY += moveEvent.clientY - lastY;
+            lastX = moveEvent.clientX;
+            lastY = moveEvent.clientY;
+            draw();
+        };
+        const onUp = () => {
+            canvas.removeEventListener('pointermove', onMove);
+            canvas.removeEventListener('pointerup', onUp);
+            canvas.removeEventListener('pointercancel', onUp);
+            scheduleUpdate();
+        };
+        canvas.addEventListener('pointermove', onMove);
+        canvas.addEventListener('pointerup', onUp);
+        canvas.addEventListener('pointercancel', onUp);
+    });
+
+    trimInput.addEventListener('change', () => {
+        resetCrop();
+        draw();
+        scheduleUpdate();
+    });
+    sizeInput.addEventListener('change', scheduleUpdate);
+    formatSelect.addEventListener('change', () => {
+        updateControls();
+        scheduleUpdate();
+    });
+
+    resetCrop();
+    draw();
+    updateControls();
+    await updateResult();
+
+    return {
+        process,
+        destroy() {
+            clearTimeout(processTimeout);
+            if (resultURL) {
+                URL.revokeObjectURL(resultURL);
+            }
+            container.innerHTML = '';
+        },
+    };
+}
@@ -0,0 +1,133 @@
+// Shared rules for custom emoji image files.
+
+export const MAX_IMAGE_SIZE = 2 * 1024 * 1024; // 2MB
+export const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
+
+const EXTENSION_TYPES = {
+    png: 'image/png',
+    apng: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+};
+
+/**
+ * Check whether a MIME type is an allowed emoji image type
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isAllowedImageType(type) {
+    return ALLOWED_IMAGE_TYPES.includes(type);
+}
+
+/**
+ * Check an image file against the size and type rules
+ * @param {Blob} file
+ * @returns {string|null} Error message, or null if the file is valid
+ */
+export function getImageFileError(file) {
+    if (file.size > MAX_IMAGE_SIZE) {
+        return 'File size must be less than 2MB';
+    }
+
+    if (!isAllowedImageType(file.type)) {
+        return 'Only PNG, JPEG, GIF, and WebP images are allowed';
+    }
+
+    return null;
+}
+
+/**
+ * Guess an image MIME type from a file name
+ * @param {string} fileName
+ * @returns {string} MIME type, or an empty string if the extension is not a known image type
+ */
+export function getImageTypeFromName(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return EXTENSION_TYPES[extension] || '';
+}
+
+/**
+ * Get the usual file extension for an image MIME type
+ * @param {string} type
+ * @returns {string}
+ */
+export function getExtensionFromType(type) {
+    switch (type) {
+        case 'image/jpeg':
+        case 'image/jpg':
+            return 'jpg';
+        case 'image/gif':
+            return 'gif';
+        case 'image/webp':
+            return 'webp';
+        default:
+            return 'png';
+    }
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Hashes of blobs that were already read, since stored blobs are hashed again on every check
+const blobHashes = new WeakMap();
+
+/**
+ * Hash bytes with FNV-1a, for pages where Web Crypto is unavailable (plain HTTP on a LAN address)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function fnv1a(bytes) {
+    let hash = 0x811c9dc5;
+    for (const byte of bytes) {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Compute a content hash of an image blob
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function hashBlob(blob) {
+    const buffer = await blob.arrayBuffer();
+    if (!crypto.subtle) {
+        return `fnv:${buffer.byteLength}:${fnv1a(new Uint8Array(buffer))}`;
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+    return `sha256:${Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Get a hash that is equal for identical images. Remote images are identified by their URL.
+ * @param {Blob|string} source Image blob, data URL or URL
+ * @returns {Promise<string>}
+ */
+export async function hashImage(source) {
+    if (typeof source === 'string') {
+        if (!source.startsWith('data:')) {
+            return `url:${source}`;
+        }
+        source = await (await fetch(source)).blob();
+    }
+    if (!blobHashes.has(source)) {
+        const blob = source;
+        const hash = hashBlob(blob);
+        hash.catch(() => blobHashes.delete(blob));
+        blobHashes.set(blob, hash);
+    }
+    return blobHashes.get(source);
+}
@@ -0,0 +1,114 @@
+// Preview dialog shown before imported emojis are saved.
+
+import { escapeHtml } from './utils';
+import { getImageUrlError } from './schema';
+import { getFocusableElements, setupModalDialog } from './modal';
+
+export const NEW_PACK = '__new__';
+export const PACK_PER_CATEGORY = '__categories__';
+
+/**
+ * Show the parsed import and let the user choose what to add
+ * @param {import('./importers').ImportResult} result
+ * @param {Object} options
+ * @param {Array} options.packs Existing packs
+ * @param {Set<string>} options.existingIds IDs of emojis that are already stored
+ * @returns {Promise<{items: import('./importers').ImportItem[], pack: string}|null>} Selected items and
+ * target pack (a pack ID, `NEW_PACK` or `PACK_PER_CATEGORY`), or null if the import was cancelled
+ */
+export function showImportPreview(result, { packs, existingIds }) {
+    const hasCategories = result.items.some(item => item.category);
+    const invalidCount = result.items.filter(item => item.error).length;
+    const objectURLs = [];
+
+    const dialog = document.createElement('div');
+    dialog.id = 'emojiImportPreview';
+    dialog.classList.add('emojiPickerDialog');
+    dialog.innerHTML = `
+        <h3 id="emojiImportTitle">Import Preview</h3>
+        <p>
+            ${escapeHtml(result.items.length)} emojis found (${escapeHtml(result.format)}).
+            ${invalidCount > 0 ? `${invalidCount} cannot be imported, the reason is shown next to each of them.` : ''}
+        </p>
+        ${result.errors?.length > 0 ? `<ul class="emojiImportErrors">${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : ''}
+        <label for="emojiImportPack">Add to pack:</label>
+        <select id="emojiImportPack">
+            <option value="${NEW_PACK}">New pack: ${escapeHtml(result.name)}</option>
+            ${hasCategories ? `<option value="${PACK_PER_CATEGORY}">${result.packs ? 'Keep packs from the archive' : 'One pack per category'}</option>` : ''}
+            ${packs.map(pack => `<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.icon)} ${escapeHtml(pack.name)}</option>`).join('')}
+        </select>
+        <label class="emojiDialogSelectAll"><input type="checkbox" id="emojiImportSelectAll" checked> Select all</label>
+        <div id="emojiImportList" class="emojiDialogList"></div>
+        <div class="emojiDialogButtons">
+            <button id="emojiImportConfirm" class="emojiDialogConfirm">Import</button>
+            <button id="emojiImportCancel">Cancel</button>
+        </div>
+    `;
+
+    const packSelect = dialog.querySelector('#emojiImportPack');
+    if (hasCategories && result.format.includes('Emoji Picker')) {
+        packSelect.value = PACK_PER_CATEGORY;
+    }
+
+    const list = dialog.querySelector('#emojiImportList');
+    result.items.forEach((item, index) => {
+        // Unsafe URLs are not shown
+        let src = getImageUrlError(item.source) ? null : item.source;
+        if (item.source instanceof Blob) {
+            src = URL.createObjectURL(item.source);
+            objectURLs.push(src);
+        }
+
+        let status = existingIds.has(item.id) ? 'ID exists' : 'New';
+        if (item.error) {
+            status = item.error;
+        }
+
+        const row = document.createElement('label');
+        row.classList.add('emojiDialogItem');
+        row.classList.toggle('invalid', Boolean(item.error));
+        row.innerHTML = `
+            <input type="checkbox" data-index="${index}" ${item.error ? 'disabled' : 'checked'}>
+            ${src ? `<img src="${escapeHtml(src)}" alt="">` : '<span class="emojiDialogMissing">?</span>'}
+            <span class="emojiDialogName">${escapeHtml(item.name)} (${escapeHtml(item.id)})${item.category ? ` · ${escapeHtml(item.category)}` : ''}</span>
+            <span class="emojiDialogStatus">${escapeHtml(status)}</span>
+        `;
+        list.appendChild(row);
+    });
+
+    const checkboxes = Array.from(list.querySelectorAll('input[type="checkbox"]:not(:disabled)'));
+    const confirmButton = dialog.querySelector('#emojiImportConfirm');
+    const updateCount = () => {
+        const count = checkboxes.filter(checkbox => checkbox.checked).length;
+        confirmButton.textContent = `Import ${count}`;
+        confirmButton.disabled = count === 0;
+    };
+    list.addEventListener('change', updateCount);
+    dialog.querySelector('#emojiImportSelectAll').addEventListener('change', (e) => {
+        checkboxes.forEach(checkbox => checkbox.checked = e.target.checked);
+        updateCount();
+    });
+    updateCount();
+
+    const previousFocus = document.activeElement;
+    document.body.appendChild(dialog);
+
+    return new Promise((resolve) => {
+        const close = (value) => {
+            objectURLs.forEach(url => URL.revokeObjectURL(url));
+            dialog.remove();
+            previousFocus?.focus?.();
+            resolve(value);
+        };
+        setupModalDialog(dialog, { labelledBy: 'emojiImportTitle', onClose: () => close(null) });
+        (getFocusableElements(dialog)[0] ?? dialog).focus();
+
+        confirmButton.addEventListener('click', () => {
+            const items = checkboxes
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => result.items[Number(checkbox.dataset.index)]);
+            close({ items, pack: packSelect.value });
+        });
+        dialog.querySelector('#emojiImportCancel').addEventListener('click', () => close(null));
+    });
+}
@@ -0,0 +1,478 @@
+// Client-side parsing of emoji imports: this extension's ZIP and JSON exports, ZIP archives
+// of images, Misskey `meta.json` packs, Pleroma `pack.json`/`emoji.txt` packs and
+// Discord-style exported folders.
+
+import { unzip } from 'fflate';
+import { getImageFileError, getImageTypeFromName } from './images';
+import { dataURLToBlob } from './storage';
+import { MANIFEST_FORMAT } from './exporter';
+import { migrateEmoji, migrateExportManifest, getEmojiIdError, getImageUrlError } from './schema';
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {string} id Emoji ID
+ * @property {string} name Display name
+ * @property {string[]} keywords Search keywords
+ * @property {Blob|string} source Image blob, or URL for remote emojis
+ * @property {string} [category] Category or pack name from the source format
+ * @property {number} [added] Time the emoji was originally added
+ * @property {number} [order] Position of the emoji in its pack, if it was reordered
+ * @property {string} [error] Reason why the item cannot be imported
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {string} name Name of the imported pack, derived from the file or folder name
+ * @property {string} format Detected format
+ * @property {ImportItem[]} items
+ * @property {Array} [packs] Pack metadata from this extension's ZIP export; item categories are pack IDs
+ * @property {string[]} errors Files that could not be read, with the reason
+ */
+
+/**
+ * @typedef {Object} VirtualFile
+ * @property {string} path Path relative to the archive or folder root
+ * @property {Blob} blob
+ */
+
+// ZIP archives are unpacked into memory, so their size is limited before anything is unpacked
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+const MAX_UNZIPPED_SIZE = 500 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 5000;
+
+// Discord exporters often append the 17-20 digit emoji snowflake to file names
+const SNOWFLAKE_SUFFIX = /[_-]\d{17,20}$/;
+const SNOWFLAKE = /^\d{17,20}$/;
+
+/**
+ * Turn an arbitrary name into a valid emoji ID
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeEmojiId(name) {
+    return String(name).trim().replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'emoji';
+}
+
+/**
+ * Get the last segment of a path
+ * @param {string} path
+ * @returns {string}
+ */
+function getBaseName(path) {
+    return path.split('/').pop();
+}
+
+/**
+ * Get the directory part of a path, with a trailing slash
+ * @param {string} path
+ * @returns {string}
+ */
+function getDirectory(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index + 1);
+}
+
+/**
+ * Strip the extension from a file name
+ * @param {string} fileName
+ * @returns {string}
+ */
+function stripExtension(fileName) {
+    const index = fileName.lastIndexOf('.');
+    return index > 0 ? fileName.slice(0, index) : fileName;
+}
+
+/**
+ * Normalize a relative path, resolving `.` and `..` segments
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+    const segments = [];
+    for (const segment of path.replace(/\\/g, '/').split('/')) {
+        if (segment === '..') {
+            segments.pop();
+        } else if (segment && segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+/**
+ * Give the blob of a virtual file the MIME type implied by its name
+ * @param {VirtualFile} file
+ * @returns {Blob}
+ */
+function toImageBlob(file) {
+    const type = getImageTypeFromName(file.path) || file.blob.type;
+    return file.blob.type === type ? file.blob : new Blob([file.blob], { type });
+}
+
+/**
+ * Find a file referenced from a manifest, falling back to a match by file name
+ * @param {VirtualFile[]} files
+ * @param {string} directory Directory of the manifest
+ * @param {string} reference Path as written in the manifest
+ * @returns {VirtualFile|undefined}
+ */
+function findReferencedFile(files, directory, reference) {
+    const path = normalizePath(directory + reference);
+    const baseName = getBaseName(path);
+    return files.find(file => file.path === path) || files.find(file => getBaseName(file.path) === baseName);
+}
+
+/**
+ * Build an import item from a virtual file
+ * @param {VirtualFile|undefined} file
+ * @param {Partial<ImportItem>} fields
+ * @returns {ImportItem}
+ */
+function createFileItem(file, fields) {
+    const item = {
+        id: sanitizeEmojiId(fields.id),
+        name: fields.name || fields.id,
+        keywords: (fields.keywords || []).filter(keyword => typeof keyword === 'string' && keyword.trim()),
+        category: fields.category || undefined,
+        source: file ? toImageBlob(file) : null,
+    };
+    item.error = file ? getImageFileError(item.source) || undefined : `Image file "${fields.fileName}" not found`;
+    return item;
+}
+
+/**
+ * Parse a Misskey `meta.json` export
+ * @param {Object} meta
+ * @param {VirtualFile[]} files
+ * @param {string} directory
+ * @returns {ImportItem[]}
+ */
+function parseMisskeyMeta(meta, files, directory) {
+    return meta.emojis
+        .filter(entry => entry.downloaded !== false && entry.emoji?.name)
+        .map(entry => createFileItem(findReferencedFile(files, directory, entry.fileName), {
+            id: entry.emoji.name,
+            keywords: entry.emoji.aliases,
+            category: entry.emoji.category,
+            fileName: entry.fileName,
+        }));
+}
+
+/**
+ * Parse a Pleroma `pack.json`
+ * @param {Object} pack
+ * @param {VirtualFile[]} files
+ * @param {string} directory
+ * @returns {ImportItem[]}
+ */
+function parsePleromaPack(pack, files, directory) {
+    return Object.entries(pack.files).map(([shortcode, fileName]) => createFileItem(findReferencedFile(files, directory, fileName), {
+        id: shortcode,
+        fileName,
+    }));
+}
+
+/**
+ * Parse a Pleroma `emoji.txt` with lines of `shortcode, path[, tag...]`
+ * @param {string} text
+ * @param {VirtualFile[]} files
+ * @param {string} directory
+ * @returns {ImportItem[]}
+ */
+function parseEmojiTxt(text, files, directory) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [shortcode, fileName = '', ...tags] = line.split(',').map(part => part.trim());
+            return createFileItem(findReferencedFile(files, directory, fileName.replace(/^\//, '')), {
+                id: shortcode,
+                keywords: tags,
+                category: tags[0],
+                fileName,
+            });
+        });
+}
+
+/**
+ * Parse a Discord-style emoji list: an array of `{id, name}` objects where the
+ * image files are named after the snowflake ID
+ * @param {Array} entries
+ * @param {VirtualFile[]} files
+ * @returns {ImportItem[]}
+ */
+function parseDiscordList(entries, files) {
+    return entries.map(entry => {
+        const file = files.find(f => stripExtension(getBaseName(f.path)) === String(entry.id) && getImageTypeFromName(f.path));
+        return createFileItem(file, { id: entry.name, fileName: `${entry.id}.${entry.animated ? 'gif' : 'png'}` });
+    });
+}
+
+/**
+ * Check whether parsed JSON looks like a Discord emoji list
+ * @param {any} json
+ * @returns {boolean}
+ */
+function isDiscordList(json) {
+    return Array.isArray(json) && json.length > 0
+        && json.every(entry => entry && typeof entry.name === 'string' && SNOWFLAKE.test(String(entry.id)));
+}
+
+/**
+ * Check whether parsed JSON is this extension's own export format
+ * @param {any} json
+ * @returns {boolean}
+ */
+function isExtensionExport(json) {
+    return Array.isArray(json) && json.length > 0 && json.every(entry => entry && typeof entry === 'object');
+}
+
+/**
+ * Parse the manifest of this extension's ZIP export
+ * @param {Object} manifest
+ * @param {VirtualFile[]} files
+ * @param {string} directory
+ * @returns {ImportItem[]}
+ */
+function parseExportManifest(manifest, files, directory) {
+    return (migrateExportManifest(manifest).emojis || []).map(entry => {
+        const fields = {
+            id: entry.id,
+            name: entry.name,
+            keywords: entry.keywords,
+            category: entry.pack,
+            fileName: entry.file,
+        };
+        const item = entry.url
+            ? { ...fields, id: sanitizeEmojiId(entry.id), source: entry.url }
+            : createFileItem(findReferencedFile(files, directory, entry.file || ''), fields);
+        for (const key of ['added', 'order']) {
+            if (typeof entry[key] === 'number') {
+                item[key] = entry[key];
+            }
+        }
+        return item;
+    });
+}
+
+/**
+ * Parse this extension's JSON export
+ * @param {Array} emojis
+ * @returns {Promise<ImportItem[]>}
+ */
+async function parseExtensionExport(emojis) {
+    const items = [];
+    for (const entry of emojis) {
+        // These exports are emojis of the first schema, with the name repeated as a keyword
+        const emoji = migrateEmoji({ ...entry, schemaVersion: 1 });
+        const item = {
+            id: emoji.id,
+            name: emoji.name,
+            keywords: emoji.keywords,
+            category: emoji.pack,
+            source: emoji.src,
+        };
+        if (typeof emoji.src === 'string' && emoji.src.startsWith('data:') && !getImageUrlError(emoji.src)) {
+            try {
+                item.source = await dataURLToBlob(emoji.src);
+            } catch {
+                item.error = 'Image data is invalid';
+            }
+        }
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Check an import item, keeping the reason it cannot be imported if it has one already
+ * @param {ImportItem} item
+ * @returns {ImportItem}
+ */
+function validateImportItem(item) {
+    if (item.error) {
+        return item;
+    }
+    const errors = [getEmojiIdError(item.id)];
+    if (typeof item.name !== 'string' || !item.name.trim()) {
+        errors.push('Name is missing');
+    }
+    if (!Array.isArray(item.keywords) || item.keywords.some(keyword => typeof keyword !== 'string')) {
+        errors.push('Keywords must be a list of strings');
+    }
+    errors.push(item.source instanceof Blob ? getImageFileError(item.source) : getImageUrlError(item.source));
+    const message = errors.filter(Boolean).join(', ');
+    return message ? { ...item, error: message } : item;
+}
+
+/**
+ * Parse a set of files from an archive or folder
+ * @param {VirtualFile[]} files
+ * @returns {Promise<{format: string, items: ImportItem[], packs?: Array, errors: string[]}>}
+ */
+async function parseVirtualFiles(files) {
+    const items = [];
+    const formats = new Set();
+    const errors = [];
+    let packs;
+
+    for (const file of files) {
+        try {
+            const baseName = getBaseName(file.path).toLowerCase();
+            const directory = getDirectory(file.path);
+
+            if (baseName === 'meta.json') {
+                const meta = JSON.parse(await file.blob.text());
+                if (Array.isArray(meta?.emojis)) {
+                    formats.add('Misskey');
+                    items.push(...parseMisskeyMeta(meta, files, directory));
+                }
+            } else if (baseName === 'pack.json') {
+                const pack = JSON.parse(await file.blob.text());
+                if (pack?.files && typeof pack.files === 'object') {
+                    formats.add('Pleroma');
+                    items.push(...parsePleromaPack(pack, files, directory));
+                }
+            } else if (baseName === 'emoji.txt' && !files.some(f => f.path.toLowerCase() === `${directory}pack.json`.toLowerCase())) {
+                // pack.json takes precedence when a Pleroma pack has both
+                formats.add('Pleroma');
+                items.push(...parseEmojiTxt(await file.blob.text(), files, directory));
+            } else if (baseName.endsWith('.json')) {
+                const json = JSON.parse(await file.blob.text());
+                if (json?.format === MANIFEST_FORMAT) {
+                    formats.add('Emoji Picker');
+                    items.push(...parseExportManifest(json, files, directory));
+                    packs = json.packs;
+                } else if (isDiscordList(json)) {
+                    formats.add('Discord');
+                    items.push(...parseDiscordList(json, files));
+                } else if (isExtensionExport(json)) {
+                    formats.add('Emoji Picker');
+                    items.push(...await parseExtensionExport(json));
+                }
+            }
+        } catch (error) {
+            // One broken manifest does not stop the other files from being imported
+            errors.push(`${file.path}: ${error.message}`);
+        }
+    }
+
+    if (formats.size > 0) {
+        return { format: Array.from(formats).join(', '), items, packs, errors };
+    }
+
+    // No manifest: every image becomes an emoji named after its file
+    const imageFiles = files.filter(file => getImageTypeFromName(file.path));
+    return {
+        format: imageFiles.some(file => SNOWFLAKE_SUFFIX.test(stripExtension(getBaseName(file.path)))) ? 'Discord' : 'Images',
+        items: imageFiles.map(file => {
+            const stem = stripExtension(getBaseName(file.path)).replace(SNOWFLAKE_SUFFIX, '');
+            const folder = getBaseName(getDirectory(file.path).slice(0, -1));
+            return createFileItem(file, { id: stem, category: folder });
+        }),
+        errors,
+    };
+}
+
+/**
+ * Give every item a unique ID within the import
+ * @param {ImportItem[]} items
+ * @returns {ImportItem[]}
+ */
+function deduplicateIds(items) {
+    const seen = new Set();
+    for (const item of items) {
+        const base = item.id;
+        for (let suffix = 2; seen.has(item.id); suffix++) {
+            item.id = `${base}_${suffix}`;
+        }
+        seen.add(item.id);
+    }
+    return items;
+}
+
+/**
+ * Format a size limit for error messages
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatLimit(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Blob} file
+ * @returns {Promise<VirtualFile[]>}
+ * @throws {Error} If the archive, or its unpacked files, are larger than the limits
+ */
+async function readZip(file) {
+    if (file.size > MAX_ARCHIVE_SIZE) {
+        throw new Error(`The archive is larger than ${formatLimit(MAX_ARCHIVE_SIZE)}`);
+    }
+    const data = new Uint8Array(await file.arrayBuffer());
+
+    // Sizes are checked from the archive's directory, before the files are unpacked
+    let entryCount = 0;
+    let unzippedSize = 0;
+    const filter = ({ name, originalSize }) => {
+        if (name.endsWith('/') || name.startsWith('__MACOSX/')) {
+            return false;
+        }
+        entryCount++;
+        unzippedSize += originalSize;
+        if (entryCount > MAX_ARCHIVE_ENTRIES) {
+            throw new Error(`The archive contains more than ${MAX_ARCHIVE_ENTRIES} files`);
+        }
+        if (unzippedSize > MAX_UNZIPPED_SIZE) {
+            throw new Error(`The files in the archive are larger than ${formatLimit(MAX_UNZIPPED_SIZE)} when unpacked`);
+        }
+        return true;
+    };
+    const entries = await new Promise((resolve, reject) => {
+        unzip(data, { filter }, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+    return Object.entries(entries).map(([path, bytes]) => ({ path: normalizePath(path), blob: new Blob([bytes]) }));
+}
+
+/**
+ * Parse files selected for import. Accepts a single JSON or ZIP file, or the
+ * contents of a folder.
+ * @param {File[]} selectedFiles
+ * @returns {Promise<ImportResult>}
+ */
+export async function parseImportFiles(selectedFiles) {
+    if (selectedFiles.length === 0) {
+        throw new Error('No files selected');
+    }
+
+    let files;
+    let name;
+    const [firstFile] = selectedFiles;
+
+    if (selectedFiles.length === 1 && /\.zip$/i.test(firstFile.name)) {
+        files = await readZip(firstFile);
+        name = stripExtension(firstFile.name);
+    } else {
+        files = selectedFiles.map(file => ({
+            path: normalizePath(file.webkitRelativePath || file.name),
+            blob: file,
+        }));
+        const rootFolder = firstFile.webkitRelativePath?.split('/')[0];
+        name = rootFolder || stripExtension(firstFile.name);
+    }
+
+    // Strip a single top-level folder so manifest paths resolve the same way
+    const topFolders = new Set(files.map(file => file.path.split('/')[0]));
+    if (topFolders.size === 1 && files.every(file => file.path.includes('/'))) {
+        const [folder] = topFolders;
+        files = files.map(file => ({ ...file, path: file.path.slice(folder.length + 1) }));
+    }
+
+    const { format, items, packs, errors } = await parseVirtualFiles(files);
+    if (items.length === 0) {
+        throw new Error(['No emojis found in the selected files', ...errors].join('\n'));
+    }
+
+    return { name, format, items: deduplicateIds(items).map(validateImportItem), packs, errors };
+}
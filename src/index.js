@@ -1,6 +1,37 @@
-import { Picker } from 'emoji-mart';
 import data from '@emoji-mart/data';
-import { createPopper } from '@popperjs/core';
+import { loadEmojis, saveEmojis, updateLibrary, trashEmojis, loadTrash, restoreEmojis, deleteFromTrash, putTrashEntries, purgeTrash, getCachedEmoji, toStoredEmoji, migrateFromLocalStorage, addMissingImageHashes, getStorageUsage, loadPacks, savePacks, removePack, DEFAULT_PACK_ID } from './storage';
+import { renderShortcodes, toShortcode, replaceEmojiReferences } from './shortcodes';
+import { createEmojiAutocomplete } from './autocomplete';
+import { getActiveScope, isPackInScope, encodeScope, decodeScope, getScopeOptions } from './scope';
+import { registerSlashCommands, resolveEmoji } from './commands';
+import { getImageFileError, isAllowedImageType, blobToDataURL } from './images';
+import { createImageEditor } from './imageEditor';
+import { createPickerController } from './pickerController';
+import { parseImportFiles } from './importers';
+import { showImportPreview, NEW_PACK, PACK_PER_CATEGORY } from './importPreview';
+import { createExportArchive } from './exporter';
+import { showExportDialog } from './exportDialog';
+import { showConflictDialog } from './conflictDialog';
+import { findEmojiConflicts, resolveEmojiConflicts, formatConflictSummary } from './duplicates';
+import { syncServerLibrary, scheduleServerPush, deleteUnusedImages } from './serverSync';
+import { createVirtualList } from './virtualList';
+import { loadEmojiStats, getEmojiUsage, recordEmojiUsage, getFrequentEmojiIds, clearEmojiUsage, restoreEmojiUsage, getFavoriteEmojiIds, isFavoriteEmoji, setFavoriteEmoji, moveFavoriteEmoji, renameEmojiStats } from './usage';
+import { getSettings, getPickerSettings, INSERT_FORMATS } from './settings';
+import { createSettingsPanel } from './settingsPanel';
+import { updateEmojiPrompt } from './prompt';
+import { setupModalDialog, setupKeyboardButton } from './modal';
+import { matchesHotkey } from './hotkeys';
+import { createInputTarget } from './inputTarget';
+import { createMessageReactions, renameMessageReactions } from './reactions';
+import { escapeHtml, omit } from './utils';
+import { notifySuccess, notifyInfo, notifyWarning, notifyError, notifyFailure, notifyWithUndo } from './notifications';
+import { EmojiPickerError, ERROR_CODES, toStorageError } from './errors';
+import { createEventEmitter } from './events';
+import { getRegisteredPacks, getRegisteredEmoji } from './registeredPacks';
+import { createPublicApi, toPublicEmoji } from './publicApi';
+import { getEmojiIdError, partitionValidEmojis, formatEmojiErrors } from './schema';
+import { isRemoteImageUrl, downloadImage, checkImageUrl, findBrokenImageLinks, mapWithConcurrency } from './remoteImages';
+import { getContext } from './context';
 import './style.css';
 
 const textarea = document.getElementById('send_textarea');
@@ -9,136 +40,237 @@ if (!(textarea instanceof HTMLTextAreaElement)) {
     throw new Error('Element with id "send_textarea" is not a textarea.');
 }
 
+// Emojis go into the last focused text field, the message input by default
+const inputTarget = createInputTarget(textarea);
+
 // Configuration
 const CUSTOM_EMOJI_CATEGORY = 'custom';
-const CUSTOM_EMOJI_STORAGE_KEY = 'custom_emojis';
+const REGISTERED_EMOJI_CATEGORY = 'registered';
+
+const EMOJI_ROW_HEIGHT = 44;
+const FREQUENT_EMOJI_ROWS = 2;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Emojis selected in the manager for bulk actions
+const selectedEmojiIds = new Set();
+let lastSelectedEmojiId = null;
+// Virtualized emoji list of the manager
+let emojiListView = null;
+// Previews of the emojis in the trash, revoked when the trash list is rendered again
+let trashObjectURLs = [];
+// Result of the last link check in the manager
+/** @type {{id: string, url: string, error: string}[]} */
+let brokenImageLinks = [];
+
+// Events of the public API, also announced for changes made in the UI
+const emojiEvents = createEventEmitter();
+
+// Message the picker adds a reaction to, or null while it inserts into a text field
+/** @type {{messageId: number, button: HTMLElement}|null} */
+let reactionTarget = null;
 
 /**
  * Load custom emojis from storage
- * @returns {Array}
+ * @returns {Promise<Array>}
  */
-function loadCustomEmojis() {
+async function loadCustomEmojis() {
     try {
-        const stored = localStorage.getItem(CUSTOM_EMOJI_STORAGE_KEY);
-        return stored ? JSON.parse(stored) : [];
+        return await loadEmojis();
     } catch (error) {
         console.error('Error loading custom emojis:', error);
-        alert('Failed to load custom emojis. Please try again.');
+        notifyError('Failed to load custom emojis. Please try again.');
         return [];
     }
 }
 
 /**
- * Save custom emojis to storage
- * @param {Array} emojis
+ * Load custom emoji packs from storage
+ * @returns {Promise<Array>}
  */
-function saveCustomEmojis(emojis) {
+async function loadCustomPacks() {
     try {
-        localStorage.setItem(CUSTOM_EMOJI_STORAGE_KEY, JSON.stringify(emojis));
+        return await loadPacks();
     } catch (error) {
-        console.error('Error saving custom emojis:', error);
-        alert('Failed to save custom emojis. Check browser storage settings.');
+        console.error('Error loading emoji packs:', error);
+        notifyError('Failed to load emoji packs. Please try again.');
+        return [];
     }
 }
 
 /**
- * Convert file to base64 data URL
- * @param {File} file
- * @returns {Promise<string>}
+ * Find a custom emoji by ID, in the library or in the packs registered by other extensions
+ * @param {string} id
+ * @returns {Object|undefined}
  */
-function fileToDataURL(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
+function getCustomEmoji(id) {
+    return getCachedEmoji(id) ?? getRegisteredEmoji(id);
+}
+
+/**
+ * Tell other extensions about emojis that were saved to the library.
+ * Emojis that replaced one with the same ID are reported as updated.
+ * @param {string[]} ids
+ * @param {Set<string>} [previousIds] IDs that were stored before the emojis were saved
+ */
+function announceSavedEmojis(ids, previousIds = new Set()) {
+    for (const emoji of ids.map(getCachedEmoji).filter(Boolean)) {
+        if (previousIds.has(emoji.id)) {
+            emojiEvents.emit('emoji:updated', { emoji: toPublicEmoji(emoji), previousId: emoji.id });
+        } else {
+            emojiEvents.emit('emoji:added', { emoji: toPublicEmoji(emoji) });
+        }
+    }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)}KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
 }
 
 /**
- * Export custom emojis to JSON file
+ * Export selected custom emojis to a ZIP archive
  */
-function exportCustomEmojis() {
-    const customEmojis = loadCustomEmojis();
+async function exportCustomEmojis() {
+    const customEmojis = await loadCustomEmojis();
     if (customEmojis.length === 0) {
-        alert('No custom emojis to export.');
+        notifyInfo('No custom emojis to export.');
         return;
     }
-    const dataStr = JSON.stringify(customEmojis, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-    
-    const exportFileDefaultName = `custom_emojis_${new Date().toISOString().split('T')[0]}.json`;
-    
-    const linkElement = document.createElement('a');
-    linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportFileDefaultName);
-    linkElement.click();
+
+    const packs = await loadCustomPacks();
+    const selectedIds = await showExportDialog(customEmojis, packs);
+    if (!selectedIds) {
+        return;
+    }
+
+    try {
+        const selectedEmojis = customEmojis.filter(emoji => selectedIds.includes(emoji.id));
+        const archive = await createExportArchive(selectedEmojis, packs);
+        const url = URL.createObjectURL(archive);
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', `custom_emojis_${new Date().toISOString().split('T')[0]}.zip`);
+        linkElement.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error exporting emojis:', error);
+        notifyError(`Error exporting emojis: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the target pack of each imported item. New packs are only created in memory;
+ * they are saved together with the imported emojis.
+ * @param {import('./importers').ImportResult} result
+ * @param {{items: Array, pack: string}} selection
+ * @returns {Promise<{getPackId: (item: Object) => string, newPacks: Array}>}
+ */
+async function resolveImportPacks(result, selection) {
+    const packs = await loadPacks();
+    const newPacks = [];
+    const addPack = (name, icon, scope) => {
+        const pack = buildCustomPack(name, icon, scope, packs);
+        packs.push(pack);
+        newPacks.push(pack);
+        return pack.id;
+    };
+
+    if (selection.pack === NEW_PACK) {
+        const packId = addPack(result.name, '📦');
+        return { getPackId: () => packId, newPacks };
+    }
+
+    if (selection.pack !== PACK_PER_CATEGORY) {
+        return { getPackId: () => selection.pack, newPacks };
+    }
+
+    const categoryPacks = new Map();
+    for (const category of new Set(selection.items.map(item => item.category).filter(Boolean))) {
+        // Archives exported by this extension carry the full pack metadata
+        const archivePack = result.packs?.find(pack => pack.id === category);
+        const name = archivePack?.name ?? category;
+        const existingPack = packs.find(pack => pack.id === category)
+            || packs.find(pack => pack.name.toLowerCase() === name.toLowerCase());
+        categoryPacks.set(category, existingPack?.id ?? addPack(name, archivePack?.icon ?? '📦', archivePack?.scope));
+    }
+    return { getPackId: item => categoryPacks.get(item.category) ?? DEFAULT_PACK_ID, newPacks };
 }
 
 /**
- * Import custom emojis from JSON file
- * @param {File} file
+ * Import custom emojis from a JSON export, a ZIP archive or the files of a folder.
+ * Shows a preview, and lets the user resolve conflicts with stored emojis, before anything is saved.
+ * @param {File[]} files
+ * @returns {Promise<boolean>}
  */
-async function importCustomEmojis(file) {
+async function importCustomEmojis(files) {
     try {
-        const text = await file.text();
-        const importedEmojis = JSON.parse(text);
-        
-        if (!Array.isArray(importedEmojis)) {
-            throw new Error('Invalid file format: expected array of emojis');
+        const result = await parseImportFiles(files);
+        const existingEmojis = await loadCustomEmojis();
+        const existingIds = new Set(existingEmojis.map(emoji => emoji.id));
+        const selection = await showImportPreview(result, { packs: await loadCustomPacks(), existingIds });
+
+        if (!selection || selection.items.length === 0) {
+            return false;
         }
 
-        // Validate each emoji
-        for (const emoji of importedEmojis) {
-            if (!emoji.id || !emoji.name || !emoji.src) {
-                throw new Error('Invalid emoji format: missing required fields (id, name, src)');
-            }
+        const conflicts = await findEmojiConflicts(selection.items, existingEmojis);
+        const actions = conflicts.length > 0 ? await showConflictDialog(selection.items, conflicts) : new Map();
+        if (!actions) {
+            return false;
         }
 
-        // Merge with existing emojis (imported ones take precedence)
-        const existingEmojis = loadCustomEmojis();
-        const mergedEmojis = [...existingEmojis];
-        
-        let importCount = 0;
-        for (const importedEmoji of importedEmojis) {
-            const existingIndex = mergedEmojis.findIndex(e => e.id === importedEmoji.id);
-            if (existingIndex !== -1) {
-                mergedEmojis[existingIndex] = importedEmoji;
-            } else {
-                mergedEmojis.push(importedEmoji);
-                importCount++;
+        const { getPackId, newPacks } = await resolveImportPacks(result, selection);
+        const records = [];
+        for (const item of selection.items) {
+            const record = await toStoredEmoji(item.id, item.name, item.source, item.keywords, getPackId(item));
+            if (item.added) {
+                record.added = item.added;
             }
+            if (item.order !== undefined) {
+                record.order = item.order;
+            }
+            records.push(record);
         }
 
-        saveCustomEmojis(mergedEmojis);
+        const resolved = resolveEmojiConflicts(records, conflicts, actions, existingEmojis);
+        const { valid, invalid } = partitionValidEmojis(resolved.records);
+        // Packs that would stay empty are not created
+        const usedPacks = newPacks.filter(pack => valid.some(record => record.pack === pack.id));
+        await updateLibrary({ save: valid, packs: usedPacks });
         refreshEmojiPicker();
-        updateCustomEmojiList();
-        
-        alert(`Successfully imported ${importCount} new emojis and updated ${importedEmojis.length - importCount} existing emojis`);
+        await updateCustomEmojiList();
+        announceSavedEmojis(valid.map(record => record.id), existingIds);
+
+        notifySuccess(`Import finished: ${formatConflictSummary(resolved.summary)}`);
+        if (invalid.length > 0) {
+            console.warn('Emoji Picker: skipped invalid emojis while importing', invalid);
+            notifyWarning(`${invalid.length} emojis were skipped:\n${formatEmojiErrors(invalid)}`);
+        }
         return true;
     } catch (error) {
         console.error('Error importing emojis:', error);
-        alert(`Error importing emojis: ${error.message}`);
+        notifyError(`Error importing emojis: ${error.message}`);
         return false;
     }
 }
 
 /**
  * Validate image file
- * @param {File} file
+ * @param {Blob} file
  * @returns {boolean}
  */
 function validateImageFile(file) {
-    const maxSize = 2 * 1024 * 1024; // 2MB
-    const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
-    
-    if (file.size > maxSize) {
-        alert('File size must be less than 2MB');
-        return false;
-    }
-    
-    if (!allowedTypes.includes(file.type)) {
-        alert('Only PNG, JPEG, GIF, and WebP images are allowed');
+    const error = getImageFileError(file);
+    if (error) {
+        notifyWarning(error);
         return false;
     }
     
@@ -152,112 +284,636 @@ function validateImageFile(file) {
  */
 async function validateImageUrl(url) {
     if (!url.match(/^https?:\/\/[^\s$.?#].[^\s]*$/)) {
-        alert('Please enter a valid HTTP/HTTPS URL');
+        notifyWarning('Please enter a valid HTTP/HTTPS URL');
         return false;
     }
-    try {
-        const response = await fetch(url, { method: 'HEAD' });
-        const contentType = response.headers.get('Content-Type');
-        return response.ok && contentType.startsWith('image/');
-    } catch (error) {
-        console.error('Error validating image URL:', error);
-        alert('Invalid or unreachable image URL');
+    const error = await checkImageUrl(url);
+    if (error) {
+        notifyWarning(error);
         return false;
     }
+    return true;
 }
 
 /**
- * Add a custom emoji
+ * Add a custom emoji. If its ID or image is already stored, the user decides what happens.
  * @param {string} id - Unique identifier for the emoji
  * @param {string} name - Display name
- * @param {string} url - URL to the emoji image (can be data URL or regular URL)
+ * @param {string|Blob} source - Image blob or URL to the emoji image (can be data URL or regular URL)
  * @param {Array} keywords - Search keywords
+ * @param {string} pack - ID of the pack to add the emoji to
+ * @returns {Promise<string|null>} ID of the saved emoji, or null if nothing was saved
  */
-function addCustomEmoji(id, name, url, keywords = []) {
-    const customEmojis = loadCustomEmojis();
+async function addCustomEmoji(id, name, source, keywords = [], pack = DEFAULT_PACK_ID) {
+    const customEmojis = await loadCustomEmojis();
     
     // Check for duplicate name
     if (customEmojis.some(emoji => emoji.name === name && emoji.id !== id)) {
-        alert('An emoji with this name already exists. Please choose a different name.');
+        notifyWarning('An emoji with this name already exists. Please choose a different name.');
+        return null;
+    }
+
+    try {
+        const item = { id, name, source };
+        const conflicts = await findEmojiConflicts([item], customEmojis);
+        const actions = conflicts.length > 0 ? await showConflictDialog([item], conflicts) : new Map();
+        if (!actions) {
+            return null;
+        }
+
+        const record = await toStoredEmoji(id, name, source, keywords, pack);
+        const { records } = resolveEmojiConflicts([record], conflicts, actions, customEmojis);
+        if (records.length === 0) {
+            return null;
+        }
+        await saveEmojis(records);
+        announceSavedEmojis([records[0].id], new Set(customEmojis.map(emoji => emoji.id)));
+        return records[0].id;
+    } catch (error) {
+        console.error('Error adding emoji:', error);
+        notifyError('Failed to add emoji due to storage error.');
+        return null;
+    }
+}
+
+/**
+ * Move a custom emoji to the trash
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function removeCustomEmoji(id) {
+    return (await removeCustomEmojis([id])) !== null;
+}
+
+/**
+ * Move several custom emojis to the trash
+ * @param {string[]} ids
+ * @returns {Promise<number[]>} Keys of the trash entries
+ * @throws {EmojiPickerError} If the emojis could not be removed
+ */
+async function trashCustomEmojis(ids) {
+    let trashIds;
+    try {
+        trashIds = await trashEmojis(ids);
+    } catch (error) {
+        throw toStorageError(error, 'Failed to remove emojis due to storage error.', { ids });
+    }
+    ids.forEach(id => emojiEvents.emit('emoji:removed', { id }));
+    return trashIds;
+}
+
+/**
+ * Move several custom emojis to the trash, reporting failures to the user
+ * @param {string[]} ids
+ * @returns {Promise<number[]|null>} Keys of the trash entries, or null if the emojis could not be removed
+ */
+async function removeCustomEmojis(ids) {
+    try {
+        return await trashCustomEmojis(ids);
+    } catch (error) {
+        console.error('Error removing emojis:', error);
+        notifyFailure(error);
+        return null;
+    }
+}
+
+/**
+ * Move emojis from the trash back into the library
+ * @param {number[]} trashIds Keys of the trash entries
+ * @returns {Promise<string[]>} IDs of the restored emojis, which differ from their old IDs if those were taken
+ */
+async function restoreCustomEmojis(trashIds) {
+    try {
+        const restoredIds = await restoreEmojis(trashIds);
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+        announceSavedEmojis(restoredIds);
+        return restoredIds;
+    } catch (error) {
+        console.error('Error restoring emojis:', error);
+        notifyError('Failed to restore emojis due to storage error.');
+        return [];
+    }
+}
+
+/**
+ * Move emojis to the trash and offer to undo it
+ * @param {string[]} ids
+ * @param {string} message Describes what was removed
+ * @returns {Promise<boolean>}
+ */
+async function trashCustomEmojisWithUndo(ids, message) {
+    const trashIds = await removeCustomEmojis(ids);
+    if (!trashIds) {
+        return false;
+    }
+    ids.forEach(id => selectedEmojiIds.delete(id));
+    refreshEmojiPicker();
+    await updateCustomEmojiList();
+    notifyWithUndo(message, () => restoreCustomEmojis(trashIds));
+    return true;
+}
+
+/**
+ * Apply the same change to several custom emojis
+ * @param {string[]} ids
+ * @param {(emoji: Object) => Object} getChanges - Returns the fields to change for an emoji
+ * @returns {Promise<boolean>}
+ */
+async function updateCustomEmojis(ids, getChanges) {
+    try {
+        const customEmojis = await loadCustomEmojis();
+        await saveEmojis(customEmojis
+            .filter(emoji => ids.includes(emoji.id))
+            .map(emoji => ({ ...emoji, ...getChanges(emoji) })));
+        return true;
+    } catch (error) {
+        console.error('Error updating emojis:', error);
+        notifyError('Failed to update emojis due to storage error.');
         return false;
     }
+}
 
-    const newEmoji = {
-        id,
+/**
+ * Sort emojis the way the manager lists them: grouped by pack, in pack order
+ * @param {Array} emojis - Emojis in their saved order
+ * @param {Array} packs
+ * @returns {Array}
+ */
+function sortEmojisByPack(emojis, packs) {
+    const packOrder = new Map(packs.map((pack, index) => [pack.id, index]));
+    return [...emojis].sort((a, b) => (packOrder.get(a.pack) ?? 0) - (packOrder.get(b.pack) ?? 0));
+}
+
+/**
+ * Move emojis next to another emoji and save the new order.
+ * The moved emojis join the pack of the target emoji.
+ * @param {string[]} ids - Emojis to move, kept in their current relative order
+ * @param {string} targetId - Emoji to place them next to
+ * @param {boolean} after - Whether to place them after the target instead of before it
+ * @returns {Promise<boolean>}
+ */
+async function moveCustomEmojis(ids, targetId, after) {
+    if (ids.includes(targetId)) {
+        return false;
+    }
+
+    const orderedEmojis = sortEmojisByPack(await loadCustomEmojis(), await loadCustomPacks());
+    const target = orderedEmojis.find(emoji => emoji.id === targetId);
+    if (!target) {
+        return false;
+    }
+
+    const moving = orderedEmojis.filter(emoji => ids.includes(emoji.id)).map(emoji => ({ ...emoji, pack: target.pack }));
+    const remaining = orderedEmojis.filter(emoji => !ids.includes(emoji.id));
+    remaining.splice(remaining.indexOf(target) + (after ? 1 : 0), 0, ...moving);
+
+    try {
+        await saveEmojis(remaining.map((emoji, order) => ({ ...emoji, order })));
+        return true;
+    } catch (error) {
+        console.error('Error reordering emojis:', error);
+        notifyError('Failed to save the emoji order due to storage error.');
+        return false;
+    }
+}
+
+/**
+ * Update an existing custom emoji
+ * @param {string} originalId - Current ID of the emoji
+ * @param {{id: string, name: string, keywords: Array, pack: string, source?: string|Blob}} changes - New values, the current image is kept if no source is given
+ * @param {{rewriteReferences?: boolean}} [options] - Whether to replace references to a changed ID in the current chat
+ * @returns {Promise<Object>} The updated emoji
+ * @throws {EmojiPickerError} If the emoji is missing, its new ID or name is taken, or it could not be saved
+ */
+async function saveEmojiChanges(originalId, { id, name, keywords, pack, source }, { rewriteReferences = false } = {}) {
+    const customEmojis = await loadEmojis();
+    const existing = customEmojis.find(emoji => emoji.id === originalId);
+
+    if (!existing) {
+        throw new EmojiPickerError(ERROR_CODES.NOT_FOUND, `Emoji "${originalId}" no longer exists.`, { details: { id: originalId } });
+    }
+
+    if (id !== originalId && customEmojis.some(emoji => emoji.id === id)) {
+        throw new EmojiPickerError(ERROR_CODES.ALREADY_EXISTS, 'An emoji with this ID already exists. Please choose a different ID.', { details: { id } });
+    }
+
+    if (customEmojis.some(emoji => emoji.name === name && emoji.id !== originalId)) {
+        throw new EmojiPickerError(ERROR_CODES.ALREADY_EXISTS, 'An emoji with this name already exists. Please choose a different name.', { details: { id, name } });
+    }
+
+    try {
+        const record = await toStoredEmoji(id, name, source || existing.blob || existing.url, keywords, pack);
+        record.added = existing.added;
+        record.order = existing.order;
+        if (!source && existing.hash) {
+            record.hash = existing.hash;
+        }
+        // A renamed emoji is saved under its new ID and removed under the old one at once
+        await updateLibrary({ save: [record], remove: id === originalId ? [] : [originalId] });
+    } catch (error) {
+        throw toStorageError(error, 'Failed to update emoji due to storage error.', { id: originalId });
+    }
+
+    if (id !== originalId) {
+        renameEmojiStats(originalId, id);
+    }
+    if (id !== originalId && rewriteReferences) {
+        try {
+            await rewriteChatReferences(originalId, id);
+        } catch (error) {
+            // The chat still refers to the old ID, so the emoji keeps it
+            renameEmojiStats(id, originalId);
+            await updateLibrary({ save: [existing], remove: [id] });
+            throw toStorageError(error, 'Failed to save the chat with the updated emoji references. The emoji was not changed.', { id: originalId });
+        }
+    }
+
+    const updated = getCachedEmoji(id);
+    emojiEvents.emit('emoji:updated', { emoji: toPublicEmoji(updated), previousId: originalId });
+    return updated;
+}
+
+/**
+ * Update an existing custom emoji, reporting problems to the user
+ * @param {string} originalId
+ * @param {{id: string, name: string, keywords: Array, pack: string, source?: string|Blob}} changes
+ * @param {{rewriteReferences?: boolean}} [options]
+ * @returns {Promise<boolean>}
+ */
+async function updateCustomEmoji(originalId, changes, options) {
+    try {
+        await saveEmojiChanges(originalId, changes, options);
+        return true;
+    } catch (error) {
+        console.error('Error updating emoji:', error);
+        notifyFailure(error);
+        return false;
+    }
+}
+
+/**
+ * Download the images of custom emojis that are loaded from other sites and store them instead of the links
+ * @param {string[]} ids
+ * @returns {Promise<{converted: string[], failed: {id: string, error: string}[]}>}
+ */
+async function makeCustomEmojisLocal(ids) {
+    const emojis = (await loadCustomEmojis()).filter(emoji => ids.includes(emoji.id) && !emoji.blob && isRemoteImageUrl(emoji.url));
+    const downloads = await mapWithConcurrency(emojis, async (emoji) => {
+        try {
+            return { blob: await downloadImage(emoji.url) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+
+    const records = [];
+    const failed = [];
+    emojis.forEach((emoji, index) => {
+        const { blob, error } = downloads[index];
+        if (error) {
+            failed.push({ id: emoji.id, error });
+            return;
+        }
+        records.push({ ...omit(emoji, ['url', 'hash']), blob });
+    });
+
+    await saveEmojis(records);
+    for (const record of records) {
+        emojiEvents.emit('emoji:updated', { emoji: toPublicEmoji(getCachedEmoji(record.id)), previousId: record.id });
+    }
+    return { converted: records.map(record => record.id), failed };
+}
+
+/**
+ * Make custom emojis local and report the outcome to the user
+ * @param {string[]} ids
+ */
+async function makeCustomEmojisLocalWithNotice(ids) {
+    let result;
+    try {
+        result = await makeCustomEmojisLocal(ids);
+    } catch (error) {
+        console.error('Error saving local copies of emojis:', error);
+        notifyError('Failed to save the downloaded images due to storage error.');
+        return;
+    }
+
+    const { converted, failed } = result;
+    if (converted.length === 0 && failed.length === 0) {
+        notifyInfo('None of these emojis load their image from another site.');
+        return;
+    }
+    if (converted.length > 0) {
+        brokenImageLinks = brokenImageLinks.filter(link => !converted.includes(link.id));
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+        notifySuccess(`${converted.length} emojis are now stored in this browser`);
+    }
+    if (failed.length > 0) {
+        notifyWarning(`${failed.length} images could not be downloaded:\n${failed.map(({ id, error }) => `${id}: ${error}`).join('\n')}`);
+    }
+}
+
+/**
+ * Replace references to a renamed emoji in the messages of the current chat
+ * @param {string} oldId
+ * @param {string} newId
+ * @throws {Error} If the chat could not be saved. The messages are restored first.
+ */
+async function rewriteChatReferences(oldId, newId) {
+    const context = getContext();
+    if (!Array.isArray(context.chat)) {
+        return;
+    }
+
+    // Previous contents of the changed messages
+    const backups = new Map();
+    context.chat.forEach((message, messageId) => {
+        const backup = { mes: message.mes, swipes: message.swipes, extra: message.extra && structuredClone(message.extra) };
+        let messageChanged = false;
+        const text = replaceEmojiReferences(message.mes ?? '', oldId, newId);
+        if (text !== message.mes) {
+            message.mes = text;
+            messageChanged = true;
+        }
+        if (Array.isArray(message.swipes)) {
+            message.swipes = message.swipes.map(swipe => {
+                const swipeText = replaceEmojiReferences(swipe ?? '', oldId, newId);
+                messageChanged = messageChanged || swipeText !== swipe;
+                return swipeText;
+            });
+        }
+        if (renameMessageReactions(message, oldId, newId)) {
+            messageChanged = true;
+        }
+        if (messageChanged) {
+            backups.set(messageId, backup);
+            context.updateMessageBlock?.(messageId, message);
+            messageReactions.renderMessage(messageId);
+        }
+    });
+
+    if (backups.size === 0) {
+        return;
+    }
+    try {
+        await context.saveChat();
+    } catch (error) {
+        for (const [messageId, backup] of backups) {
+            Object.assign(context.chat[messageId], backup);
+            context.updateMessageBlock?.(messageId, context.chat[messageId]);
+            messageReactions.renderMessage(messageId);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Create a unique pack ID from a pack name
+ * @param {string} name
+ * @param {Array} packs Existing packs
+ * @returns {string}
+ */
+function createPackId(name, packs) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'pack';
+    const takenIds = new Set(packs.map(pack => pack.id));
+    let id = base;
+    for (let suffix = 2; takenIds.has(id); suffix++) {
+        id = `${base}_${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Build a new pack at the end of the list, without saving it
+ * @param {string} name
+ * @param {string} icon - Emoji shown on the pack's category tab
+ * @param {{type: string, target?: string}} [scope] - Where the pack is available, global by default
+ * @param {Array} packs - Existing packs
+ * @returns {Object}
+ */
+function buildCustomPack(name, icon, scope, packs) {
+    const pack = {
+        id: createPackId(name, packs),
         name,
-        src: url,
-        keywords: [name, ...keywords],
-        skins: [{ src: url }]
+        icon,
+        order: packs.reduce((max, p) => Math.max(max, p.order), 0) + 1,
     };
+    if (scope) {
+        pack.scope = scope;
+    }
+    return pack;
+}
 
-    // Check if emoji already exists
-    const existingIndex = customEmojis.findIndex(emoji => emoji.id === id);
-    if (existingIndex !== -1) {
-        customEmojis[existingIndex] = newEmoji;
-    } else {
-        customEmojis.push(newEmoji);
+/**
+ * Create a new custom emoji pack at the end of the list
+ * @param {string} name
+ * @param {string} icon - Emoji shown on the pack's category tab
+ * @param {{type: string, target?: string}} [scope] - Where the pack is available, global by default
+ * @returns {Promise<string|null>} ID of the new pack, or null on failure
+ */
+async function createCustomPack(name, icon, scope) {
+    const pack = buildCustomPack(name, icon, scope, await loadCustomPacks());
+
+    try {
+        await savePacks([pack]);
+        return pack.id;
+    } catch (error) {
+        console.error('Error creating pack:', error);
+        notifyError('Failed to create pack due to storage error.');
+        return null;
+    }
+}
+
+/**
+ * Update the name, icon or scope of a pack
+ * @param {string} id
+ * @param {{name?: string, icon?: string, scope?: {type: string, target?: string}}} changes
+ * @returns {Promise<boolean>}
+ */
+async function updateCustomPack(id, changes) {
+    const pack = (await loadCustomPacks()).find(p => p.id === id);
+    if (!pack) {
+        return false;
     }
 
     try {
-        saveCustomEmojis(customEmojis);
+        await savePacks([{ ...pack, ...changes }]);
         return true;
     } catch (error) {
-        console.error('Error adding emoji:', error);
-        alert('Failed to add emoji due to storage error.');
+        console.error('Error updating pack:', error);
+        notifyError('Failed to update pack due to storage error.');
         return false;
     }
 }
 
 /**
- * Remove a custom emoji
+ * Move a pack one position up or down
  * @param {string} id
+ * @param {number} direction -1 to move up, 1 to move down
+ * @returns {Promise<boolean>}
  */
-function removeCustomEmoji(id) {
-    const customEmojis = loadCustomEmojis();
-    const filteredEmojis = customEmojis.filter(emoji => emoji.id !== id);
-    
+async function moveCustomPack(id, direction) {
+    const packs = await loadCustomPacks();
+    const index = packs.findIndex(p => p.id === id);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= packs.length) {
+        return false;
+    }
+
+    [packs[index], packs[targetIndex]] = [packs[targetIndex], packs[index]];
     try {
-        saveCustomEmojis(filteredEmojis);
+        await savePacks(packs.map((pack, order) => ({ ...pack, order })));
         return true;
     } catch (error) {
-        console.error('Error removing emoji:', error);
-        alert('Failed to remove emoji due to storage error.');
+        console.error('Error reordering packs:', error);
+        notifyError('Failed to reorder packs due to storage error.');
         return false;
     }
 }
 
 /**
- * Create custom emoji data structure for emoji-mart
- * @returns {Object}
+ * Delete a pack. Its emojis are moved to the default pack.
+ * @param {string} id
+ * @returns {Promise<boolean>}
  */
-function createCustomEmojiData() {
-    const customEmojis = loadCustomEmojis();
-    
-    if (customEmojis.length === 0) {
-        return data;
+async function deleteCustomPack(id) {
+    try {
+        await removePack(id);
+        return true;
+    } catch (error) {
+        console.error('Error deleting pack:', error);
+        notifyError(`Failed to delete pack: ${error.message}`);
+        return false;
     }
+}
 
-    // Create a custom category
-    const customCategory = {
-        id: CUSTOM_EMOJI_CATEGORY,
-        name: 'Custom',
-        emojis: customEmojis.map(emoji => emoji.id)
-    };
+/**
+ * Delete a pack and offer to undo it. Undoing brings back the pack and moves its emojis back into it.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteCustomPackWithUndo(id) {
+    const pack = (await loadCustomPacks()).find(p => p.id === id);
+    const emojiIds = (await loadCustomEmojis()).filter(emoji => emoji.pack === id).map(emoji => emoji.id);
+    if (!pack || !(await deleteCustomPack(id))) {
+        return false;
+    }
 
-    // Create the enhanced data structure
-    const enhancedData = {
-        ...data,
-        categories: [...data.categories, customCategory],
-        emojis: {
-            ...data.emojis,
-            ...customEmojis.reduce((acc, emoji) => {
-                acc[emoji.id] = emoji;
-                return acc;
-            }, {})
+    notifyWithUndo(`Pack "${pack.name}" deleted, its emojis were moved to the default pack`, async () => {
+        try {
+            await savePacks([pack]);
+        } catch (error) {
+            console.error('Error restoring pack:', error);
+            notifyError('Failed to restore the pack due to storage error.');
+            return;
         }
+        await updateCustomEmojis(emojiIds, () => ({ pack: id }));
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+    });
+    return true;
+}
+
+/**
+ * Create an emoji-mart category icon showing an emoji character
+ * @param {string} icon
+ * @returns {{svg: string}}
+ */
+function createPackIcon(icon) {
+    return {
+        svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text x="12" y="13" font-size="18" text-anchor="middle" dominant-baseline="central">${escapeHtml(icon)}</text></svg>`,
     };
+}
+
+/**
+ * Create custom emoji categories for emoji-mart, one per pack available in the active conversation
+ * @param {Array} customEmojis
+ * @param {Array} packs
+ * @returns {Array}
+ */
+function createCustomEmojiData(customEmojis, packs) {
+    const activeScope = getActiveScope();
+    return packs.filter(pack => isPackInScope(pack, activeScope)).map(pack => ({
+        id: `${CUSTOM_EMOJI_CATEGORY}_${pack.id}`,
+        name: pack.name,
+        icon: createPackIcon(pack.icon),
+        emojis: customEmojis
+            .filter(emoji => emoji.pack === pack.id)
+            .map(emoji => ({
+                id: emoji.id,
+                name: emoji.name,
+                keywords: emoji.keywords,
+                skins: emoji.skins,
+            })),
+    }));
+}
+
+/**
+ * Create emoji-mart categories for the packs registered by other extensions
+ * @returns {Array}
+ */
+function createRegisteredEmojiData() {
+    return getRegisteredPacks().map(pack => ({
+        id: `${REGISTERED_EMOJI_CATEGORY}_${pack.id}`,
+        name: pack.name,
+        icon: createPackIcon(pack.icon),
+        emojis: pack.emojis.map(emoji => ({
+            id: emoji.id,
+            name: emoji.name,
+            keywords: emoji.keywords,
+            skins: emoji.skins,
+        })),
+    }));
+}
+
+/**
+ * Create the Favorites and Frequently used categories shown at the top of the picker
+ * @param {Array} customCategories - Custom categories available in the active conversation
+ * @returns {Array}
+ */
+function createPinnedEmojiData(customCategories) {
+    const customIds = new Set(customCategories.flatMap(category => category.emojis.map(emoji => emoji.id)));
+    // Custom emojis from packs of other conversations are left out
+    const isAvailable = id => customIds.has(id) || Boolean(data.emojis[id]?.skins?.[0]?.native);
+
+    return [
+        {
+            id: 'favorites',
+            icon: createPackIcon('📌'),
+            emojis: getFavoriteEmojiIds().filter(isAvailable),
+        },
+        {
+            id: 'recent',
+            icon: createPackIcon('🕘'),
+            emojis: getFrequentEmojiIds(Infinity).filter(isAvailable).slice(0, FREQUENT_EMOJI_ROWS * getSettings().perLine),
+        },
+    ];
+}
 
-    return enhancedData;
+/**
+ * Get the preview of an emoji by ID, for native and custom emojis
+ * @param {string} id
+ * @returns {string} HTML of the preview
+ */
+function renderEmojiPreview(id) {
+    const customEmoji = getCustomEmoji(id);
+    if (customEmoji) {
+        return `<img src="${escapeHtml(customEmoji.src)}" alt="">`;
+    }
+    return escapeHtml(data.emojis[id]?.skins?.[0]?.native ?? '?');
+}
+
+/**
+ * Get all emojis the picker currently offers, native and custom
+ * @returns {Array}
+ */
+function getSearchableEmojis() {
+    // emoji-mart also copies custom emojis into the shared data, including removed ones
+    const nativeEmojis = Object.values(data.emojis).filter(emoji => !emoji.skins?.[0]?.src);
+    const customEmojis = pickerController.getCustomCategories().flatMap(category => category.emojis);
+    return [...nativeEmojis, ...customEmojis];
 }
 
 /**
@@ -277,32 +933,131 @@ function typeInTextarea(newText, el = document.activeElement) {
 }
 
 /**
- * Insert an emoji into the textarea.
+ * Get the text inserted for a custom emoji, in the configured format
+ * @param {{id: string, src: string}} inputEmoji Custom emoji from the picker
+ * @returns {Promise<string>}
+ */
+async function formatCustomEmoji(inputEmoji) {
+    const { insertFormat, imageSize } = getSettings();
+    const emoji = getCustomEmoji(inputEmoji.id) ?? { ...inputEmoji, name: inputEmoji.name ?? inputEmoji.id };
+
+    if (insertFormat === INSERT_FORMATS.NAME) {
+        return emoji.name;
+    }
+    if (insertFormat !== INSERT_FORMATS.MARKDOWN && insertFormat !== INSERT_FORMATS.HTML) {
+        // Shortcodes are expanded when the message renders
+        return toShortcode(emoji.id);
+    }
+
+    // Object URLs of uploaded images only live as long as the page, so they are embedded
+    const url = emoji.blob ? await blobToDataURL(emoji.blob) : (emoji.url ?? emoji.src);
+    if (insertFormat === INSERT_FORMATS.MARKDOWN) {
+        return `![${emoji.id}](${url})`;
+    }
+    return `<img src="${escapeHtml(url)}" alt="${escapeHtml(toShortcode(emoji.id))}" title="${escapeHtml(emoji.name)}" width="${imageSize}" height="${imageSize}">`;
+}
+
+/**
+ * Insert an emoji into the last focused text field.
  * @param {{native: string, id: string, src?: string}} inputEmoji Emoji object
- * @returns
+ * @returns {Promise<void>}
  */
-function insertEmoji(inputEmoji) {
+async function insertEmoji(inputEmoji) {
     let emojiText;
     
     // Check if it's a custom emoji
     if (inputEmoji.src && !inputEmoji.native) {
-        // For custom emojis, insert as markdown image
-        emojiText = `![${inputEmoji.id}](${inputEmoji.src})`;
+        try {
+            emojiText = await formatCustomEmoji(inputEmoji);
+        } catch (error) {
+            console.error('Error formatting custom emoji:', error);
+            emojiText = toShortcode(inputEmoji.id);
+        }
     } else {
         // For standard emojis, use native unicode
         emojiText = inputEmoji.native;
     }
     
-    typeInTextarea(emojiText, textarea);
-    textarea.focus();
-    picker.classList.add('displayNone');
-    popper.update();
+    const field = inputTarget.getField();
+    typeInTextarea(emojiText, field);
+    if (getSettings().closeOnSelect) {
+        field.focus();
+        pickerController.close();
+    }
+
+    // The frequently used category picks this up when the picker is opened again
+    recordEmojiUsage(inputEmoji.id);
+    pickerController.invalidate();
     
     const event = new Event('input', {
         bubbles: true,
         cancelable: true,
     });
-    textarea.dispatchEvent(event);
+    field.dispatchEvent(event);
+
+    const emoji = inputEmoji.native ? inputEmoji : (getCustomEmoji(inputEmoji.id) ?? inputEmoji);
+    emojiEvents.emit('emoji:inserted', { emoji: toPublicEmoji(emoji), text: emojiText, field });
+}
+
+/**
+ * Expand custom emoji shortcodes and show the reactions of a rendered chat message
+ * @param {number|string} messageId
+ */
+function renderMessageEmojis(messageId) {
+    if (messageId === undefined || messageId === null) {
+        renderChatEmojis();
+        return;
+    }
+    const messageText = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (messageText) {
+        renderShortcodes(messageText, getCustomEmoji);
+    }
+    messageReactions.renderMessage(messageId);
+}
+
+/**
+ * Expand custom emoji shortcodes and show the reactions of every rendered chat message
+ */
+function renderChatEmojis() {
+    document.querySelectorAll('#chat .mes .mes_text').forEach(messageText => {
+        renderShortcodes(messageText, getCustomEmoji);
+    });
+    messageReactions.renderChat();
+}
+
+/**
+ * Handle an emoji selected in the picker: react to a message or insert it into a text field
+ * @param {{native: string, id: string, src?: string}} emoji
+ * @returns {Promise<void>}
+ */
+async function selectEmoji(emoji) {
+    if (reactionTarget === null) {
+        await insertEmoji(emoji);
+        return;
+    }
+
+    const { messageId } = reactionTarget;
+    reactionTarget = null;
+    pickerController.close();
+    recordEmojiUsage(emoji.id);
+    pickerController.invalidate();
+    await messageReactions.addReaction(messageId, emoji);
+    emojiEvents.emit('emoji:reacted', { emoji: toPublicEmoji(emoji), messageId });
+}
+
+/**
+ * Open the picker to react to a message, or close it if it is already open for that message
+ * @param {number} messageId
+ * @param {HTMLElement} button React button of the message
+ */
+function toggleReactionPicker(messageId, button) {
+    if (pickerController.isOpen() && reactionTarget?.messageId === messageId) {
+        reactionTarget = null;
+        pickerController.close();
+        return;
+    }
+    reactionTarget = { messageId, button };
+    pickerController.open();
 }
 
 /**
@@ -396,12 +1151,33 @@ function createCustomEmojiManager() {
 
     manager.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
-            <h3 style="margin: 0; color: var(--SmartThemeQuoteColor, #fff);">Custom Emoji Manager</h3>
-            <button id="closeManager" style="background: none; border: none; color: var(--SmartThemeQuoteColor, #fff); cursor: pointer; font-size: 18px;">×</button>
+            <h3 id="customEmojiManagerTitle" style="margin: 0; color: var(--SmartThemeQuoteColor, #fff);">Custom Emoji Manager</h3>
+            <button id="closeManager" aria-label="Close" style="background: none; border: none; color: var(--SmartThemeQuoteColor, #fff); cursor: pointer; font-size: 18px;">×</button>
+        </div>
+
+        <div style="margin-bottom: 20px;">
+            <h4 style="color: var(--SmartThemeQuoteColor, #fff);">Emoji Packs</h4>
+            <div id="emojiPackList"></div>
+            <div class="emojiPackRow">
+                <input type="text" id="newPackIcon" class="emojiPackIcon" placeholder="🙂" maxlength="16" title="Pack icon emoji">
+                <input type="text" id="newPackName" class="emojiPackName" placeholder="New pack name">
+                <button id="addPack">Add Pack</button>
+            </div>
+        </div>
+
+        <div style="margin-bottom: 20px;">
+            <h4 style="color: var(--SmartThemeQuoteColor, #fff);">Favorites</h4>
+            <div id="emojiFavoriteList"></div>
+            <div class="emojiPackRow">
+                <input type="text" id="newFavorite" class="emojiPackName" placeholder="Emoji, ID or :shortcode:">
+                <button id="addFavorite">Add Favorite</button>
+                <button id="clearEmojiUsage" title="Clear the frequently used emojis">Clear Frequently Used</button>
+            </div>
         </div>
         
         <div style="margin-bottom: 20px;">
-            <h4 style="color: var(--SmartThemeQuoteColor, #fff);">Add New Emoji</h4>
+            <h4 id="emojiFormTitle" style="color: var(--SmartThemeQuoteColor, #fff);">Add New Emoji</h4>
+            <div id="currentEmojiImage" class="emojiEditCurrent" style="display: none;"></div>
             <input type="text" id="emojiId" placeholder="Emoji ID (e.g., my_emoji)" style="width: 100%; margin-bottom: 10px; padding: 8px; border: 1px solid var(--SmartThemeBorderColor, #444); background: var(--SmartThemeBlurTintColor, #333); color: var(--SmartThemeQuoteColor, #fff); border-radius: 4px;">
             <input type="text" id="emojiName" placeholder="Display Name" style="width: 100%; margin-bottom: 10px; padding: 8px; border: 1px solid var(--SmartThemeBorderColor, #444); background: var(--SmartThemeBlurTintColor, #333); color: var(--SmartThemeQuoteColor, #fff); border-radius: 4px;">
             
@@ -423,75 +1199,460 @@ function createCustomEmojiManager() {
                 
                 <div id="urlSection" style="display: none;">
                     <input type="url" id="emojiUrl" placeholder="Image URL" style="width: 100%; padding: 8px; border: 1px solid var(--SmartThemeBorderColor, #444); background: var(--SmartThemeBlurTintColor, #333); color: var(--SmartThemeQuoteColor, #fff); border-radius: 4px;">
+                    <label class="emojiUrlLocal" title="The emoji keeps working when the site is down, and showing it does not contact the site">
+                        <input type="checkbox" id="emojiUrlLocal" ${getSettings().cacheRemoteImages ? 'checked' : ''}> Save a copy of the image in this browser
+                    </label>
                 </div>
             </div>
             
             <input type="text" id="emojiKeywords" placeholder="Keywords (comma-separated)" style="width: 100%; margin-bottom: 10px; padding: 8px; border: 1px solid var(--SmartThemeBorderColor, #444); background: var(--SmartThemeBlurTintColor, #333); color: var(--SmartThemeQuoteColor, #fff); border-radius: 4px;">
+            <label for="emojiPack" style="color: var(--SmartThemeQuoteColor, #fff); margin-bottom: 5px; display: block;">Pack:</label>
+            <select id="emojiPack"></select>
+            <label id="rewriteReferencesRow" class="emojiEditRewrite" style="display: none;">
+                <input type="checkbox" id="rewriteReferences" checked> Update references in the current chat
+            </label>
             <button id="addEmoji" style="background: var(--SmartThemeEmColor, #007bff); color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer;">Add Emoji</button>
+            <button id="cancelEdit" style="display: none; background: none; color: var(--SmartThemeQuoteColor, #fff); border: 1px solid var(--SmartThemeBorderColor, #444); padding: 10px 20px; border-radius: 4px; cursor: pointer;">Cancel</button>
         </div>
         
         <div>
             <h4 style="color: var(--SmartThemeQuoteColor, #fff);">Current Custom Emojis</h4>
+            <div id="emojiStorageUsage"></div>
             <div style="margin-bottom: 15px; display: flex; gap: 10px;">
-                <button id="exportEmojis" style="background: var(--SmartThemeEmColor, #28a745); color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Export All</button>
+                <button id="exportEmojis" style="background: var(--SmartThemeEmColor, #28a745); color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Export</button>
                 <button id="importEmojis" style="background: var(--SmartThemeEmColor, #ffc107); color: black; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Import</button>
-                <input type="file" id="importFile" accept=".json" style="display: none;">
+                <button id="importEmojiFolder" style="background: var(--SmartThemeEmColor, #ffc107); color: black; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Import Folder</button>
+                <input type="file" id="importFile" accept=".json,.zip,application/json,application/zip" style="display: none;">
+                <input type="file" id="importFolder" webkitdirectory multiple style="display: none;">
                 <button id="clearAllEmojis" style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Clear All</button>
             </div>
+            <div class="emojiListControls">
+                <input type="search" id="emojiFilter" placeholder="Filter by name, ID or keyword">
+                <select id="emojiSort" title="Sort order">
+                    <option value="custom">Custom order</option>
+                    <option value="name">Name</option>
+                    <option value="added">Newest first</option>
+                    <option value="size">Largest first</option>
+                    <option value="usage">Most used</option>
+                </select>
+            </div>
+            <div id="emojiBulkActions" class="emojiBulkActions">
+                <label><input type="checkbox" id="emojiSelectAll" title="Select all"> <span id="emojiSelectionCount">0 selected</span></label>
+                <button id="bulkDelete" class="removeEmoji">Delete</button>
+                <input type="text" id="bulkKeywords" placeholder="Keywords (comma-separated)">
+                <button id="bulkAddKeywords">Add Keywords</button>
+                <button id="bulkRemoveKeywords">Remove Keywords</button>
+                <select id="bulkPack" title="Target pack"></select>
+                <button id="bulkMove">Move to Pack</button>
+                <button id="bulkMakeLocal" title="Download the images of the selected emojis that are loaded from other sites">Make Local</button>
+            </div>
             <div id="customEmojiList"></div>
         </div>
+
+        <details id="emojiRemoteImages" class="emojiRemoteImages">
+            <summary>Linked Images (<span id="emojiRemoteCount">0</span> from other sites)</summary>
+            <p class="emojiFavoriteEmpty">These emojis load their image from a link, so they break when the link stops working. Local copies are stored in this browser instead.</p>
+            <div class="emojiPackRow">
+                <button id="checkEmojiLinks">Check Links</button>
+                <button id="makeAllEmojisLocal">Make All Local</button>
+            </div>
+            <p id="emojiLinkStatus" class="emojiFavoriteEmpty"></p>
+            <div id="emojiBrokenLinkList"></div>
+        </details>
+
+        <details id="emojiTrash" class="emojiTrash">
+            <summary>Trash (<span id="emojiTrashCount">0</span>)</summary>
+            <p id="emojiTrashRetention" class="emojiFavoriteEmpty"></p>
+            <div class="emojiPackRow">
+                <button id="restoreAllTrash">Restore All</button>
+                <button id="emptyTrash" class="removeEmoji">Empty Trash</button>
+            </div>
+            <div id="emojiTrashList"></div>
+        </details>
     `;
 
-    document.body.appendChild(manager);
+    document.body.appendChild(manager);
+    setupModalDialog(manager, { labelledBy: 'customEmojiManagerTitle', onClose: closeCustomEmojiManager });
+
+    // Event listeners
+    manager.querySelector('#closeManager').addEventListener('click', closeCustomEmojiManager);
+
+    // Pack management
+    manager.querySelector('#addPack').addEventListener('click', async () => {
+        const name = manager.querySelector('#newPackName').value.trim();
+        const icon = manager.querySelector('#newPackIcon').value.trim() || '📁';
+
+        if (!name) {
+            notifyWarning('Please enter a pack name');
+            return;
+        }
+
+        if (await createCustomPack(name, icon)) {
+            manager.querySelector('#newPackName').value = '';
+            manager.querySelector('#newPackIcon').value = '';
+            refreshEmojiPicker();
+            await updateCustomEmojiList();
+        }
+    });
+
+    const packList = manager.querySelector('#emojiPackList');
+    packList.addEventListener('change', async (e) => {
+        const input = e.target;
+        const id = input.closest('[data-pack-id]')?.dataset.packId;
+        const value = input.value.trim();
+        if (!id || !value || !input.dataset.field) {
+            await updateCustomEmojiList();
+            return;
+        }
+        const changes = input.dataset.field === 'scope'
+            ? { scope: decodeScope(value) }
+            : { [input.dataset.field]: value };
+        if (await updateCustomPack(id, changes)) {
+            refreshEmojiPicker();
+            await updateCustomEmojiList();
+        }
+    });
+
+    packList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const id = button?.closest('[data-pack-id]')?.dataset.packId;
+        if (!id) {
+            return;
+        }
+
+        let changed = false;
+        switch (button.dataset.action) {
+            case 'up':
+                changed = await moveCustomPack(id, -1);
+                break;
+            case 'down':
+                changed = await moveCustomPack(id, 1);
+                break;
+            case 'delete':
+                changed = await deleteCustomPackWithUndo(id);
+                break;
+            default:
+                return;
+        }
+
+        if (changed) {
+            refreshEmojiPicker();
+            await updateCustomEmojiList();
+        }
+    });
+
+    // Favorites
+    manager.querySelector('#emojiFavoriteList').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const id = button?.closest('[data-favorite-id]')?.dataset.favoriteId;
+        if (!id) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'up':
+                moveFavoriteEmoji(id, -1);
+                break;
+            case 'down':
+                moveFavoriteEmoji(id, 1);
+                break;
+            case 'remove':
+                setFavoriteEmoji(id, false);
+                break;
+            default:
+                return;
+        }
+        updateFavoriteList();
+        refreshEmojiPicker();
+    });
+
+    manager.querySelector('#addFavorite').addEventListener('click', async () => {
+        const input = manager.querySelector('#newFavorite');
+        const value = input.value.trim();
+        if (!value) {
+            notifyWarning('Please enter an emoji, emoji ID or shortcode');
+            return;
+        }
+
+        const emoji = resolveEmoji(value, await loadCustomEmojis());
+        if (!emoji) {
+            notifyWarning(`Emoji "${value}" not found`);
+            return;
+        }
+
+        setFavoriteEmoji(emoji.id, true);
+        input.value = '';
+        updateFavoriteList();
+        refreshEmojiPicker();
+    });
+
+    manager.querySelector('#clearEmojiUsage').addEventListener('click', () => {
+        const cleared = clearEmojiUsage();
+        refreshEmojiPicker();
+        renderCustomEmojiList();
+        notifyWithUndo('Frequently used emojis cleared', () => {
+            restoreEmojiUsage(cleared);
+            refreshEmojiPicker();
+            renderCustomEmojiList();
+        });
+    });
+
+    // Handle radio button changes for image source
+    manager.querySelectorAll('input[name="imageSource"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const uploadSection = manager.querySelector('#uploadSection');
+            const urlSection = manager.querySelector('#urlSection');
+            
+            if (e.target.value === 'upload') {
+                uploadSection.style.display = 'block';
+                urlSection.style.display = 'none';
+            } else {
+                uploadSection.style.display = 'none';
+                urlSection.style.display = 'block';
+            }
+        });
+    });
+
+    // Handle file selection: show the crop and processing editor
+    let imageEditor = null;
+    const resetImageEditor = () => {
+        imageEditor?.destroy();
+        imageEditor = null;
+        manager.querySelector('#imagePreview').innerHTML = '';
+    };
+
+    // ID of the emoji being edited, or null when adding a new one
+    let editingId = null;
+    const resetEmojiForm = () => {
+        editingId = null;
+        manager.querySelector('#emojiFormTitle').textContent = 'Add New Emoji';
+        manager.querySelector('#addEmoji').textContent = 'Add Emoji';
+        manager.querySelector('#cancelEdit').style.display = 'none';
+        manager.querySelector('#currentEmojiImage').style.display = 'none';
+        manager.querySelector('#currentEmojiImage').innerHTML = '';
+        manager.querySelector('#rewriteReferencesRow').style.display = 'none';
+        manager.querySelector('#emojiId').value = '';
+        manager.querySelector('#emojiName').value = '';
+        manager.querySelector('#emojiKeywords').value = '';
+        manager.querySelector('#emojiFile').value = '';
+        manager.querySelector('#emojiUrl').value = '';
+        manager.querySelector('#emojiUrlLocal').checked = getSettings().cacheRemoteImages;
+        resetImageEditor();
+        manager.querySelector('input[name="imageSource"][value="upload"]').checked = true;
+        manager.querySelector('#uploadSection').style.display = 'block';
+        manager.querySelector('#urlSection').style.display = 'none';
+    };
+
+    const startEditing = async (id) => {
+        const emoji = (await loadCustomEmojis()).find(e => e.id === id);
+        if (!emoji) {
+            return;
+        }
+        resetEmojiForm();
+        editingId = id;
+        manager.querySelector('#emojiFormTitle').textContent = `Edit Emoji "${emoji.name}"`;
+        manager.querySelector('#addEmoji').textContent = 'Save Changes';
+        manager.querySelector('#cancelEdit').style.display = '';
+        manager.querySelector('#emojiId').value = emoji.id;
+        manager.querySelector('#emojiName').value = emoji.name;
+        manager.querySelector('#emojiKeywords').value = (emoji.keywords ?? []).join(', ');
+        manager.querySelector('#emojiPack').value = emoji.pack ?? DEFAULT_PACK_ID;
+
+        const currentImage = manager.querySelector('#currentEmojiImage');
+        currentImage.innerHTML = `<img src="${escapeHtml(emoji.src)}" alt=""><span>Current image. Choose a file or URL to replace it.</span>`;
+        currentImage.style.display = '';
+        manager.querySelector('#emojiFormTitle').scrollIntoView({ block: 'nearest' });
+    };
+
+    manager.querySelector('#emojiId').addEventListener('input', (e) => {
+        const idChanged = editingId !== null && e.target.value.trim() !== editingId;
+        manager.querySelector('#rewriteReferencesRow').style.display = idChanged ? '' : 'none';
+    });
+
+    manager.querySelector('#cancelEdit').addEventListener('click', resetEmojiForm);
+
+    const emojiList = manager.querySelector('#customEmojiList');
+    emojiListView = createVirtualList(emojiList, { rowHeight: EMOJI_ROW_HEIGHT, renderRow: createEmojiListRow });
+
+    manager.querySelector('#emojiFilter').addEventListener('input', renderCustomEmojiList);
+    manager.querySelector('#emojiSort').addEventListener('change', renderCustomEmojiList);
+
+    emojiList.addEventListener('click', async (e) => {
+        const editButton = e.target.closest('.editEmoji');
+        if (editButton) {
+            await startEditing(editButton.dataset.id);
+            return;
+        }
+
+        const favoriteButton = e.target.closest('.favoriteEmoji');
+        if (favoriteButton) {
+            setFavoriteEmoji(favoriteButton.dataset.id, !isFavoriteEmoji(favoriteButton.dataset.id));
+            updateFavoriteList();
+            refreshEmojiPicker();
+            return;
+        }
+
+        const removeButton = e.target.closest('.removeEmoji');
+        if (!removeButton) {
+            return;
+        }
+        const id = removeButton.dataset.id;
+        await trashCustomEmojisWithUndo([id], `Emoji "${id}" moved to the trash`);
+    });
+
+    // Selection for bulk actions. Shift-click selects a range of rows.
+    emojiList.addEventListener('click', (e) => {
+        const checkbox = e.target.closest('.emojiSelect');
+        if (!checkbox) {
+            return;
+        }
+
+        // Ranges follow the listed order, including rows that are scrolled out of view
+        const listedIds = getListedEmojiIds();
+        const lastIndex = listedIds.indexOf(lastSelectedEmojiId);
+        const index = listedIds.indexOf(checkbox.dataset.id);
+        const range = e.shiftKey && lastIndex !== -1
+            ? listedIds.slice(Math.min(index, lastIndex), Math.max(index, lastIndex) + 1)
+            : [checkbox.dataset.id];
+
+        setEmojisSelected(range, checkbox.checked);
+        lastSelectedEmojiId = checkbox.dataset.id;
+    });
+
+    manager.querySelector('#emojiSelectAll').addEventListener('change', (e) => {
+        setEmojisSelected(getListedEmojiIds(), e.target.checked);
+    });
+
+    // Drag and drop reordering. Dragging a selected row moves the whole selection.
+    let draggedIds = [];
+    const clearDropMarkers = () => {
+        emojiList.querySelectorAll('.dropBefore, .dropAfter, .dragging').forEach(row => {
+            row.classList.remove('dropBefore', 'dropAfter', 'dragging');
+        });
+    };
+
+    emojiList.addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.emojiListItem');
+        if (!row) {
+            return;
+        }
+        // Dragging only changes the custom order
+        if (!emojiList.classList.contains('sortable')) {
+            e.preventDefault();
+            return;
+        }
+        draggedIds = selectedEmojiIds.has(row.dataset.id) ? Array.from(selectedEmojiIds) : [row.dataset.id];
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.id);
+        row.classList.add('dragging');
+    });
+
+    emojiList.addEventListener('dragover', (e) => {
+        const row = e.target.closest('.emojiListItem');
+        if (!row || draggedIds.length === 0) {
+            return;
+        }
+        e.preventDefault();
+        const rect = row.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        emojiList.querySelectorAll('.dropBefore, .dropAfter').forEach(item => item.classList.remove('dropBefore', 'dropAfter'));
+        row.classList.add(after ? 'dropAfter' : 'dropBefore');
+    });
+
+    emojiList.addEventListener('drop', async (e) => {
+        const row = e.target.closest('.emojiListItem');
+        const ids = draggedIds;
+        draggedIds = [];
+        if (!row || ids.length === 0) {
+            return;
+        }
+        e.preventDefault();
+        const after = row.classList.contains('dropAfter');
+        clearDropMarkers();
+
+        if (await moveCustomEmojis(ids, row.dataset.id, after)) {
+            refreshEmojiPicker();
+            await updateCustomEmojiList();
+        }
+    });
+
+    emojiList.addEventListener('dragend', () => {
+        draggedIds = [];
+        clearDropMarkers();
+    });
+
+    // Bulk actions
+    const getBulkKeywords = () => manager.querySelector('#bulkKeywords').value.split(',').map(k => k.trim()).filter(k => k);
+    const applyBulkUpdate = async (getChanges) => {
+        if (await updateCustomEmojis(Array.from(selectedEmojiIds), getChanges)) {
+            refreshEmojiPicker();
+            await updateCustomEmojiList();
+            return true;
+        }
+        return false;
+    };
+
+    manager.querySelector('#bulkDelete').addEventListener('click', async () => {
+        const ids = Array.from(selectedEmojiIds);
+        if (ids.length > 0) {
+            await trashCustomEmojisWithUndo(ids, `${ids.length} emojis moved to the trash`);
+        }
+    });
+
+    manager.querySelector('#bulkAddKeywords').addEventListener('click', async () => {
+        const keywords = getBulkKeywords();
+        if (keywords.length === 0) {
+            notifyWarning('Please enter keywords to add');
+            return;
+        }
+        if (await applyBulkUpdate(emoji => ({ keywords: [...new Set([...(emoji.keywords ?? []), ...keywords])] }))) {
+            manager.querySelector('#bulkKeywords').value = '';
+        }
+    });
 
-    // Event listeners
-    manager.querySelector('#closeManager').addEventListener('click', () => {
-        manager.style.display = 'none';
+    manager.querySelector('#bulkRemoveKeywords').addEventListener('click', async () => {
+        const keywords = getBulkKeywords();
+        if (keywords.length === 0) {
+            notifyWarning('Please enter keywords to remove');
+            return;
+        }
+        if (await applyBulkUpdate(emoji => ({ keywords: (emoji.keywords ?? []).filter(k => !keywords.includes(k)) }))) {
+            manager.querySelector('#bulkKeywords').value = '';
+        }
     });
 
-    // Handle radio button changes for image source
-    manager.querySelectorAll('input[name="imageSource"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const uploadSection = manager.querySelector('#uploadSection');
-            const urlSection = manager.querySelector('#urlSection');
-            
-            if (e.target.value === 'upload') {
-                uploadSection.style.display = 'block';
-                urlSection.style.display = 'none';
-            } else {
-                uploadSection.style.display = 'none';
-                urlSection.style.display = 'block';
-            }
-        });
+    manager.querySelector('#bulkMove').addEventListener('click', async () => {
+        const pack = manager.querySelector('#bulkPack').value;
+        // Moved emojis are appended to the end of the target pack
+        await applyBulkUpdate(emoji => emoji.pack === pack ? {} : { pack, order: undefined });
+    });
+
+    manager.querySelector('#bulkMakeLocal').addEventListener('click', async () => {
+        await makeCustomEmojisLocalWithNotice(Array.from(selectedEmojiIds));
     });
 
-    // Handle file selection and preview
     manager.querySelector('#emojiFile').addEventListener('change', async (e) => {
         const file = e.target.files[0];
-        const previewDiv = manager.querySelector('#imagePreview');
+        resetImageEditor();
         
         if (!file) {
-            previewDiv.innerHTML = '';
             return;
         }
 
-        if (!validateImageFile(file)) {
+        // The size limit applies to the processed image, so only check the type here
+        if (!isAllowedImageType(file.type)) {
+            notifyWarning('Only PNG, JPEG, GIF, and WebP images are allowed');
             e.target.value = '';
-            previewDiv.innerHTML = '';
             return;
         }
 
         try {
-            const dataURL = await fileToDataURL(file);
-            previewDiv.innerHTML = `
-                <img src="${dataURL}" alt="Preview" style="max-width: 100px; max-height: 100px; object-fit: contain; border: 1px solid var(--SmartThemeBorderColor, #444); border-radius: 4px;">
-                <p style="color: var(--SmartThemeQuoteColor, #fff); font-size: 12px; margin: 5px 0 0 0;">Preview (${(file.size / 1024).toFixed(1)}KB)</p>
-            `;
+            imageEditor = await createImageEditor(manager.querySelector('#imagePreview'), file);
         } catch (error) {
             console.error('Error reading file:', error);
-            alert('Error reading the selected file');
+            notifyError('Error reading the selected file');
             e.target.value = '';
-            previewDiv.innerHTML = '';
+            resetImageEditor();
         }
     });
 
@@ -500,17 +1661,18 @@ function createCustomEmojiManager() {
         const name = manager.querySelector('#emojiName').value.trim();
         const keywords = manager.querySelector('#emojiKeywords').value.trim().split(',').map(k => k.trim()).filter(k => k);
         const imageSource = manager.querySelector('input[name="imageSource"]:checked').value;
+        const pack = manager.querySelector('#emojiPack').value || DEFAULT_PACK_ID;
         
-        let url = '';
+        let source = '';
 
         if (!id || !name) {
-            alert('Please fill in emoji ID and name');
+            notifyWarning('Please fill in emoji ID and name');
             return;
         }
 
-        // Validate emoji ID format
-        if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
-            alert('Emoji ID can only contain letters, numbers, underscores, and hyphens');
+        const idError = getEmojiIdError(id);
+        if (idError) {
+            notifyWarning(idError);
             return;
         }
 
@@ -518,58 +1680,67 @@ function createCustomEmojiManager() {
             const fileInput = manager.querySelector('#emojiFile');
             const file = fileInput.files[0];
             
-            if (!file) {
-                alert('Please select a file to upload');
+            // When editing, the current image is kept unless a new one is chosen
+            if (!file && !editingId) {
+                notifyWarning('Please select a file to upload');
                 return;
             }
 
-            if (!validateImageFile(file)) {
-                return;
-            }
+            if (file) {
+                try {
+                    source = imageEditor ? await imageEditor.process() : file;
+                } catch (error) {
+                    console.error('Error processing file:', error);
+                    notifyError('Error processing the selected file');
+                    return;
+                }
 
-            try {
-                url = await fileToDataURL(file);
-            } catch (error) {
-                console.error('Error processing file:', error);
-                alert('Error processing the selected file');
-                return;
+                if (!validateImageFile(source)) {
+                    return;
+                }
             }
         } else {
-            url = manager.querySelector('#emojiUrl').value.trim();
-            if (!url) {
-                alert('Please enter an image URL');
+            source = manager.querySelector('#emojiUrl').value.trim();
+            if (!source && !editingId) {
+                notifyWarning('Please enter an image URL');
                 return;
             }
-            if (!(await validateImageUrl(url))) {
+            if (source && !(await validateImageUrl(source))) {
                 return;
             }
+            if (source && manager.querySelector('#emojiUrlLocal').checked && isRemoteImageUrl(source)) {
+                try {
+                    source = await downloadImage(source);
+                } catch (error) {
+                    console.error('Error downloading image:', error);
+                    notifyWarning(`${error.message} Uncheck "Save a copy" to link to the image instead.`);
+                    return;
+                }
+            }
+        }
+
+        const isEditing = editingId !== null;
+        if (!isEditing && !(await addCustomEmoji(id, name, source, keywords, pack))) {
+            // Errors were reported already, or the user chose not to add the emoji
+            return;
         }
+        const success = !isEditing
+            || await updateCustomEmoji(editingId, { id, name, keywords, pack, source }, { rewriteReferences: manager.querySelector('#rewriteReferences').checked });
 
-        if (addCustomEmoji(id, name, url, keywords)) {
-            // Clear form
-            manager.querySelector('#emojiId').value = '';
-            manager.querySelector('#emojiName').value = '';
-            manager.querySelector('#emojiKeywords').value = '';
-            manager.querySelector('#emojiFile').value = '';
-            manager.querySelector('#emojiUrl').value = '';
-            manager.querySelector('#imagePreview').innerHTML = '';
-            manager.querySelector('input[name="imageSource"][value="upload"]').checked = true;
-            manager.querySelector('#uploadSection').style.display = 'block';
-            manager.querySelector('#urlSection').style.display = 'none';
+        if (success) {
+            resetEmojiForm();
             
             // Refresh the picker
             refreshEmojiPicker();
-            updateCustomEmojiList();
+            await updateCustomEmojiList();
             
-            alert(`Emoji "${name}" added successfully!`);
-        } else {
-            alert('Failed to add emoji');
+            notifySuccess(`Emoji "${name}" ${isEditing ? 'updated' : 'added'} successfully!`);
         }
     });
 
     // Export functionality
-    manager.querySelector('#exportEmojis').addEventListener('click', () => {
-        exportCustomEmojis();
+    manager.querySelector('#exportEmojis').addEventListener('click', async () => {
+        await exportCustomEmojis();
     });
 
     // Import functionality
@@ -577,23 +1748,82 @@ function createCustomEmojiManager() {
         manager.querySelector('#importFile').click();
     });
 
-    manager.querySelector('#importFile').addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (file && file.type === 'application/json') {
-            await importCustomEmojis(file);
-        } else if (file) {
-            alert('Please select a valid JSON file');
+    manager.querySelector('#importEmojiFolder').addEventListener('click', () => {
+        manager.querySelector('#importFolder').click();
+    });
+
+    manager.querySelectorAll('#importFile, #importFolder').forEach(input => {
+        input.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = ''; // Reset file input
+            if (files.length > 0) {
+                await importCustomEmojis(files);
+            }
+        });
+    });
+
+    // Linked images
+    manager.querySelector('#checkEmojiLinks').addEventListener('click', checkCustomEmojiLinks);
+
+    manager.querySelector('#makeAllEmojisLocal').addEventListener('click', async () => {
+        const ids = (await loadCustomEmojis()).map(emoji => emoji.id);
+        await makeCustomEmojisLocalWithNotice(ids);
+    });
+
+    manager.querySelector('#emojiBrokenLinkList').addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const id = button?.closest('[data-link-id]')?.dataset.linkId;
+        if (!id) {
+            return;
         }
-        e.target.value = ''; // Reset file input
+
+        if (button.dataset.action === 'edit') {
+            await startEditing(id);
+            manager.querySelector('input[name="imageSource"][value="url"]').click();
+        } else if (button.dataset.action === 'remove') {
+            await trashCustomEmojisWithUndo([id], `Emoji "${id}" moved to the trash`);
+        }
+    });
+
+    // Trash
+    manager.querySelector('#emojiTrashList').addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('[data-trash-id]');
+        if (!item) {
+            return;
+        }
+        const trashId = Number(item.dataset.trashId);
+        const id = item.dataset.emojiId;
+
+        if (button.dataset.action === 'restore') {
+            const [restoredId] = await restoreCustomEmojis([trashId]);
+            if (restoredId) {
+                notifySuccess(restoredId === id ? `Emoji "${id}" restored` : `Emoji "${id}" restored as "${restoredId}"`);
+            }
+        } else if (button.dataset.action === 'delete') {
+            await deleteTrashedEmojisWithUndo([trashId], `Emoji "${id}" deleted for good`);
+        }
+    });
+
+    manager.querySelector('#restoreAllTrash').addEventListener('click', async () => {
+        const trashIds = (await loadTrash()).map(entry => entry.trashId);
+        if (trashIds.length > 0) {
+            const restoredIds = await restoreCustomEmojis(trashIds);
+            if (restoredIds.length > 0) {
+                notifySuccess(`${restoredIds.length} emojis restored`);
+            }
+        }
+    });
+
+    manager.querySelector('#emptyTrash').addEventListener('click', async () => {
+        await deleteTrashedEmojisWithUndo(undefined, 'Trash emptied');
     });
 
     // Clear all functionality
-    manager.querySelector('#clearAllEmojis').addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete ALL custom emojis? This cannot be undone.')) {
-            saveCustomEmojis([]);
-            refreshEmojiPicker();
-            updateCustomEmojiList();
-            alert('All custom emojis have been deleted');
+    manager.querySelector('#clearAllEmojis').addEventListener('click', async () => {
+        const ids = (await loadCustomEmojis()).map(emoji => emoji.id);
+        if (ids.length > 0) {
+            await trashCustomEmojisWithUndo(ids, `All ${ids.length} custom emojis moved to the trash`);
         }
     });
 
@@ -601,164 +1831,686 @@ function createCustomEmojiManager() {
 }
 
 /**
- * Update the custom emoji list in the manager
+ * Show how much browser storage is in use
  */
-function updateCustomEmojiList() {
-    const listContainer = document.querySelector('#customEmojiList');
-    if (!listContainer) return;
-
-    const customEmojis = loadCustomEmojis();
-    listContainer.innerHTML = '';
-
-    customEmojis.forEach(emoji => {
-        const item = document.createElement('div');
-        item.style.cssText = `
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-            padding: 10px;
-            margin-bottom: 5px;
-            background: var(--SmartThemeBlurTintColor, #333);
-            border-radius: 4px;
-        `;
-
-        item.innerHTML = `
-            <div style="display: flex; align-items: center; gap: 10px;">
-                <img src="${emoji.src}" alt="${emoji.name}" style="width: 24px; height: 24px; object-fit: contain;">
-                <span style="color: var(--SmartThemeQuoteColor, #fff);">${emoji.name} (${emoji.id})</span>
+async function updateStorageUsage() {
+    const usageContainer = document.querySelector('#emojiStorageUsage');
+    if (!usageContainer) return;
+
+    const usage = await getStorageUsage();
+    usageContainer.textContent = usage && usage.quota
+        ? `Storage used: ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} (${(usage.usage / usage.quota * 100).toFixed(1)}%)`
+        : '';
+}
+
+/**
+ * Update the pack list and pack selector in the manager
+ * @param {Array} packs
+ */
+function updatePackList(packs) {
+    const packList = document.querySelector('#emojiPackList');
+    const packSelects = document.querySelectorAll('#emojiPack, #bulkPack');
+    if (!packList || packSelects.length === 0) return;
+
+    packList.innerHTML = packs.map((pack, index) => `
+        <div class="emojiPackRow" data-pack-id="${escapeHtml(pack.id)}">
+            <input type="text" class="emojiPackIcon" data-field="icon" value="${escapeHtml(pack.icon)}" maxlength="16" title="Pack icon emoji">
+            <input type="text" class="emojiPackName" data-field="name" value="${escapeHtml(pack.name)}" title="Pack name">
+            <select class="emojiPackScope" data-field="scope" title="Where this pack is available">
+                ${getScopeOptions(pack).map(option => `
+                    <option value="${escapeHtml(option.value)}" ${option.value === encodeScope(pack.scope) ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+                `).join('')}
+            </select>
+            <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+            <button data-action="down" title="Move down" ${index === packs.length - 1 ? 'disabled' : ''}>▼</button>
+            ${pack.id === DEFAULT_PACK_ID ? '' : '<button data-action="delete" class="removeEmoji" title="Delete pack">Delete</button>'}
+        </div>
+    `).join('');
+
+    packSelects.forEach(packSelect => {
+        const selectedPack = packSelect.value;
+        packSelect.innerHTML = packs
+            .map(pack => `<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.icon)} ${escapeHtml(pack.name)}</option>`)
+            .join('');
+        packSelect.value = packs.some(pack => pack.id === selectedPack) ? selectedPack : DEFAULT_PACK_ID;
+    });
+}
+
+/**
+ * Update the selection count and enable the bulk actions when emojis are selected
+ */
+function updateBulkActions() {
+    const bulkActions = document.querySelector('#emojiBulkActions');
+    if (!bulkActions) return;
+
+    const count = selectedEmojiIds.size;
+    const listedIds = getListedEmojiIds();
+    const total = listedIds.length;
+    bulkActions.querySelector('#emojiSelectionCount').textContent = `${count} selected`;
+    const selectAll = bulkActions.querySelector('#emojiSelectAll');
+    const listedCount = listedIds.filter(id => selectedEmojiIds.has(id)).length;
+    selectAll.checked = total > 0 && listedCount === total;
+    selectAll.indeterminate = listedCount > 0 && listedCount < total;
+    bulkActions.querySelectorAll('button').forEach(button => button.disabled = count === 0);
+}
+
+/**
+ * Get the IDs of the emojis currently listed in the manager, in listed order
+ * @returns {string[]}
+ */
+function getListedEmojiIds() {
+    return (emojiListView?.getItems() ?? []).filter(item => item.value.src).map(item => item.key);
+}
+
+/**
+ * Select or deselect emojis in the manager
+ * @param {string[]} ids
+ * @param {boolean} selected
+ */
+function setEmojisSelected(ids, selected) {
+    ids.forEach(id => selected ? selectedEmojiIds.add(id) : selectedEmojiIds.delete(id));
+    updateSelectionCheckboxes();
+}
+
+/**
+ * Show the current selection on the rendered rows and the bulk actions
+ */
+function updateSelectionCheckboxes() {
+    document.querySelectorAll('#customEmojiList .emojiSelect').forEach(checkbox => {
+        checkbox.checked = selectedEmojiIds.has(checkbox.dataset.id);
+    });
+    updateBulkActions();
+}
+
+/**
+ * Filter and sort emojis for the manager list
+ * @param {Array} emojis
+ * @param {Array} packs
+ * @param {string} query - Matched against names, IDs and keywords
+ * @param {string} sort - `custom`, `name`, `added`, `size` or `usage`
+ * @returns {import('./virtualList').VirtualListItem[]}
+ */
+function getEmojiListItems(emojis, packs, query, sort) {
+    const lowerQuery = query.trim().toLowerCase();
+    const filteredEmojis = lowerQuery
+        ? emojis.filter(emoji => [emoji.id, emoji.name, ...(emoji.keywords ?? [])].some(text => text.toLowerCase().includes(lowerQuery)))
+        : emojis;
+
+    if (sort !== 'custom') {
+        const usage = getEmojiUsage();
+        const compare = {
+            name: (a, b) => a.name.localeCompare(b.name),
+            added: (a, b) => (b.added ?? 0) - (a.added ?? 0),
+            size: (a, b) => (b.blob?.size ?? 0) - (a.blob?.size ?? 0),
+            usage: (a, b) => (usage[b.id]?.count ?? 0) - (usage[a.id]?.count ?? 0) || (usage[b.id]?.lastUsed ?? 0) - (usage[a.id]?.lastUsed ?? 0),
+        }[sort];
+        return [...filteredEmojis].sort(compare).map(emoji => ({ key: emoji.id, value: emoji }));
+    }
+
+    // The custom order is shown grouped by pack, with a header row per pack
+    const packsById = new Map(packs.map(pack => [pack.id, pack]));
+    const items = [];
+    let currentPack = null;
+    for (const emoji of sortEmojisByPack(filteredEmojis, packs)) {
+        if (emoji.pack !== currentPack) {
+            currentPack = emoji.pack;
+            items.push({ key: `pack:${currentPack}`, value: packsById.get(currentPack) ?? { id: currentPack, name: currentPack, icon: '' } });
+        }
+        items.push({ key: emoji.id, value: emoji });
+    }
+    return items;
+}
+
+/**
+ * Create a row of the manager list
+ * @param {Object} value - Emoji, or pack for header rows
+ * @returns {HTMLElement}
+ */
+function createEmojiListRow(value) {
+    const item = document.createElement('div');
+
+    if (!value.src) {
+        item.classList.add('emojiListHeader');
+        item.textContent = `${value.icon} ${value.name}`;
+        return item;
+    }
+
+    const emoji = value;
+    item.classList.add('emojiListItem');
+    item.dataset.id = emoji.id;
+    item.draggable = true;
+    item.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px; min-width: 0;">
+            <input type="checkbox" class="emojiSelect" data-id="${escapeHtml(emoji.id)}" ${selectedEmojiIds.has(emoji.id) ? 'checked' : ''} title="Select">
+            <img src="${escapeHtml(emoji.src)}" alt="${escapeHtml(emoji.name)}" draggable="false" loading="lazy">
+            <span class="emojiListName">${escapeHtml(emoji.name)} (${escapeHtml(emoji.id)})</span>
+            <small class="emojiListMeta">${emoji.blob ? formatBytes(emoji.blob.size) : 'URL'}</small>
+        </div>
+        <div style="display: flex; gap: 5px;">
+            <button class="favoriteEmoji" data-id="${escapeHtml(emoji.id)}"></button>
+            <button class="editEmoji" data-id="${escapeHtml(emoji.id)}" style="background: var(--SmartThemeEmColor, #007bff); color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Edit</button>
+            <button class="removeEmoji" data-id="${escapeHtml(emoji.id)}" style="background: #dc3545; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Remove</button>
+        </div>
+    `;
+    updateFavoriteButton(item.querySelector('.favoriteEmoji'));
+    return item;
+}
+
+/**
+ * Show whether the emoji of a list row is a favorite
+ * @param {HTMLElement} button
+ */
+function updateFavoriteButton(button) {
+    const favorite = isFavoriteEmoji(button.dataset.id);
+    button.textContent = favorite ? '★' : '☆';
+    button.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+    button.classList.toggle('active', favorite);
+}
+
+/**
+ * Update the favorites list in the manager
+ */
+function updateFavoriteList() {
+    const favoriteList = document.querySelector('#emojiFavoriteList');
+    if (!favoriteList) return;
+
+    const favoriteIds = getFavoriteEmojiIds();
+    favoriteList.innerHTML = favoriteIds.length === 0
+        ? '<p class="emojiFavoriteEmpty">No favorites yet. Click ☆ next to a custom emoji or add one below.</p>'
+        : favoriteIds.map((id, index) => `
+            <div class="emojiPackRow" data-favorite-id="${escapeHtml(id)}">
+                <span class="emojiFavoritePreview">${renderEmojiPreview(id)}</span>
+                <span class="emojiFavoriteName">${escapeHtml(id)}</span>
+                <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button data-action="down" title="Move down" ${index === favoriteIds.length - 1 ? 'disabled' : ''}>▼</button>
+                <button data-action="remove" class="removeEmoji" title="Remove from favorites">Remove</button>
             </div>
-            <button class="removeEmoji" data-id="${emoji.id}" style="background: #dc3545; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Remove</button>
-        `;
-
-        listContainer.appendChild(item);
-    });
-
-    // Add event listeners for remove buttons
-    listContainer.querySelectorAll('.removeEmoji').forEach(button => {
-        button.addEventListener('click', (e) => {
-            const id = e.target.dataset.id;
-            if (confirm(`Are you sure you want to remove the emoji "${id}"?`)) {
-                if (removeCustomEmoji(id)) {
-                    refreshEmojiPicker();
-                    updateCustomEmojiList();
-                    alert(`Emoji "${id}" removed successfully!`);
-                } else {
-                    alert('Failed to remove emoji');
-                }
+        `).join('');
+
+    // Rows of the emoji list are only rendered again when their emoji changes
+    document.querySelectorAll('#customEmojiList .favoriteEmoji').forEach(updateFavoriteButton);
+}
+
+/**
+ * Update the trash section of the manager
+ */
+async function updateTrashList() {
+    const trashList = document.querySelector('#emojiTrashList');
+    if (!trashList) return;
+
+    let entries = [];
+    try {
+        entries = await loadTrash();
+    } catch (error) {
+        console.error('Error loading the trash:', error);
+    }
+
+    trashObjectURLs.forEach(url => URL.revokeObjectURL(url));
+    trashObjectURLs = [];
+
+    const { trashRetentionDays } = getSettings();
+    document.querySelector('#emojiTrashCount').textContent = String(entries.length);
+    document.querySelector('#emojiTrashRetention').textContent = `Removed emojis are deleted for good after ${trashRetentionDays} days.`;
+    trashList.innerHTML = entries.length === 0
+        ? '<p class="emojiFavoriteEmpty">The trash is empty.</p>'
+        : entries.map(entry => {
+            let src = entry.url;
+            if (entry.blob) {
+                src = URL.createObjectURL(entry.blob);
+                trashObjectURLs.push(src);
             }
+            const daysLeft = Math.max(0, Math.ceil((entry.deleted + trashRetentionDays * DAY - Date.now()) / DAY));
+            return `
+                <div class="emojiPackRow emojiTrashItem" data-trash-id="${entry.trashId}" data-emoji-id="${escapeHtml(entry.id)}">
+                    <img src="${escapeHtml(src)}" alt="">
+                    <span class="emojiTrashName">
+                        ${escapeHtml(entry.name)} (${escapeHtml(entry.id)})
+                        <span class="emojiTrashStatus">Removed ${new Date(entry.deleted).toLocaleDateString()}, ${daysLeft} days left</span>
+                    </span>
+                    <button data-action="restore">Restore</button>
+                    <button data-action="delete" class="removeEmoji">Delete Forever</button>
+                </div>
+            `;
+        }).join('');
+}
+
+/**
+ * Update the section of the manager about emojis with linked images
+ */
+async function updateLinkedImageList() {
+    const linkList = document.querySelector('#emojiBrokenLinkList');
+    if (!linkList) return;
+
+    const customEmojis = await loadCustomEmojis();
+    const remoteCount = customEmojis.filter(emoji => !emoji.blob && isRemoteImageUrl(emoji.url)).length;
+    document.querySelector('#emojiRemoteCount').textContent = String(remoteCount);
+    document.querySelector('#makeAllEmojisLocal').disabled = remoteCount === 0;
+
+    // Links that were fixed or removed since the check are no longer listed
+    const emojisById = new Map(customEmojis.map(emoji => [emoji.id, emoji]));
+    brokenImageLinks = brokenImageLinks.filter(link => !emojisById.get(link.id)?.blob && emojisById.get(link.id)?.url === link.url);
+    linkList.innerHTML = brokenImageLinks.map(link => `
+        <div class="emojiPackRow emojiBrokenLink" data-link-id="${escapeHtml(link.id)}">
+            <span class="emojiBrokenLinkName">
+                ${escapeHtml(emojisById.get(link.id).name)} (${escapeHtml(link.id)})
+                <span class="emojiBrokenLinkError" title="${escapeHtml(link.url)}">${escapeHtml(link.error)}</span>
+            </span>
+            <button data-action="edit">Edit</button>
+            <button data-action="remove" class="removeEmoji">Remove</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Check the image links of all custom emojis and list the broken ones in the manager
+ */
+async function checkCustomEmojiLinks() {
+    const button = document.querySelector('#checkEmojiLinks');
+    const status = document.querySelector('#emojiLinkStatus');
+    button.disabled = true;
+    try {
+        brokenImageLinks = await findBrokenImageLinks(await loadCustomEmojis(), (done, total) => {
+            status.textContent = `Checked ${done} of ${total} links...`;
         });
-    });
+        status.textContent = brokenImageLinks.length === 0
+            ? `All links work (checked ${new Date().toLocaleTimeString()}).`
+            : `${brokenImageLinks.length} emojis have a broken link. Edit them to choose a new image, or remove them.`;
+    } catch (error) {
+        console.error('Error checking emoji links:', error);
+        status.textContent = '';
+        notifyError('Failed to check the emoji links.');
+    } finally {
+        button.disabled = false;
+    }
+    await updateLinkedImageList();
+}
+
+/**
+ * Permanently delete emojis from the trash and offer to undo it
+ * @param {number[]|undefined} trashIds Keys of the trash entries to delete, the whole trash if undefined
+ * @param {string} message Describes what was deleted
+ */
+async function deleteTrashedEmojisWithUndo(trashIds, message) {
+    let deletedEntries;
+    try {
+        deletedEntries = await deleteFromTrash(trashIds);
+    } catch (error) {
+        console.error('Error deleting emojis from the trash:', error);
+        notifyError('Failed to delete emojis due to storage error.');
+        return;
+    }
+    if (deletedEntries.length === 0) {
+        return;
+    }
+    await updateTrashList();
+
+    notifyWithUndo(message, async () => {
+        try {
+            await putTrashEntries(deletedEntries);
+        } catch (error) {
+            console.error('Error restoring the trash:', error);
+            notifyError('Failed to restore the trash due to storage error.');
+        }
+        await updateTrashList();
+    }, () => deleteUnusedServerImages(deletedEntries));
+}
+
+/**
+ * Delete the images of emojis deleted from the trash that were uploaded to the server
+ * @param {Array} entries Deleted trash entries
+ */
+function deleteUnusedServerImages(entries) {
+    deleteUnusedImages(entries).catch(error => console.error('Error deleting emoji images on the server:', error));
 }
 
 /**
- * Refresh the emoji picker with updated data
+ * Update the custom emoji list in the manager
+ */
+async function updateCustomEmojiList() {
+    if (!document.querySelector('#customEmojiList')) return;
+
+    updateStorageUsage();
+    updatePackList(await loadCustomPacks());
+    updateFavoriteList();
+    await renderCustomEmojiList();
+    await updateLinkedImageList();
+    await updateTrashList();
+}
+
+/**
+ * Apply the filter and sort order to the manager list. Rows that did not
+ * change are kept, and only the rows in view are rendered.
+ */
+async function renderCustomEmojiList() {
+    const listContainer = document.querySelector('#customEmojiList');
+    if (!listContainer || !emojiListView) return;
+
+    const packs = await loadCustomPacks();
+    const customEmojis = await loadCustomEmojis();
+
+    // Forget selected emojis that no longer exist
+    const existingIds = new Set(customEmojis.map(emoji => emoji.id));
+    for (const id of selectedEmojiIds) {
+        if (!existingIds.has(id)) {
+            selectedEmojiIds.delete(id);
+        }
+    }
+
+    const query = document.querySelector('#emojiFilter').value;
+    const sort = document.querySelector('#emojiSort').value;
+    listContainer.classList.toggle('sortable', sort === 'custom');
+    emojiListView.setItems(getEmojiListItems(customEmojis, packs, query, sort));
+    // Reused rows may still show emojis that were deselected in the meantime
+    updateSelectionCheckboxes();
+}
+
+/**
+ * Update the prompt that tells the model which custom emojis it can use.
+ * It follows the packs available in the current chat.
+ */
+async function updateCustomEmojiPrompt() {
+    const activeScope = getActiveScope();
+    const packIds = new Set((await loadCustomPacks()).filter(pack => isPackInScope(pack, activeScope)).map(pack => pack.id));
+    const usage = getEmojiUsage();
+    // The most used emojis come first, so they are kept when the list is cut off
+    const emojis = (await loadCustomEmojis())
+        .filter(emoji => packIds.has(emoji.pack))
+        .sort((a, b) => (usage[b.id]?.count ?? 0) - (usage[a.id]?.count ?? 0));
+    updateEmojiPrompt(emojis, getSettings());
+}
+
+/**
+ * Update the emoji picker and rendered shortcodes after custom emojis were changed.
+ * The picker itself is updated after a short delay, so bursts of changes are applied once.
  */
 function refreshEmojiPicker() {
-    // Remove old picker from DOM
-    if (picker && picker.parentNode) {
-        picker.parentNode.removeChild(picker);
+    pickerController.invalidate();
+    updateCustomEmojiPrompt();
+    if (getSettings().serverSync) {
+        scheduleServerPush();
+    }
+
+    // Shortcodes and reactions in the chat may refer to emojis that were just added or removed
+    renderChatEmojis();
+}
+
+/**
+ * Merge the library with the copy in the user's files on the server
+ * @param {Object} [options]
+ * @param {boolean} [options.reportErrors] Whether to tell the user when the sync failed
+ * @returns {Promise<boolean>} Whether the library was synced
+ */
+async function syncLibraryWithServer({ reportErrors = false } = {}) {
+    try {
+        if (!(await syncServerLibrary({ resolveConflicts: showConflictDialog }))) {
+            return false;
+        }
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+        return true;
+    } catch (error) {
+        console.error('Error syncing emojis with the server:', error);
+        if (reportErrors) {
+            notifyError(`Error syncing emojis with the server: ${error.message}`);
+        }
+        return false;
+    }
+}
+
+/**
+ * Show the Custom Emoji Manager
+ */
+function openCustomEmojiManager() {
+    manager.style.display = 'block';
+    manager.focus();
+    updateCustomEmojiList();
+}
+
+/**
+ * Hide the Custom Emoji Manager and return to the last focused text field
+ */
+function closeCustomEmojiManager() {
+    manager.style.display = 'none';
+    inputTarget.getField().focus();
+}
+
+/**
+ * Apply changed extension settings to the picker, the buttons and the prompt
+ * @param {Object} changes Changed settings
+ */
+function applySettings(changes) {
+    const keys = Object.keys(changes);
+    const pickerSettings = getPickerSettings();
+
+    if (keys.some(key => key in pickerSettings)) {
+        pickerController.setOptions(pickerSettings);
+    }
+    if ('showManagerButton' in changes) {
+        manageButton.classList.toggle('displayNone', !changes.showManagerButton);
+    }
+    if (keys.some(key => key.startsWith('prompt'))) {
+        updateCustomEmojiPrompt();
+    }
+    if (changes.serverSync) {
+        syncLibraryWithServer({ reportErrors: true });
+    }
+    if ('trashRetentionDays' in changes) {
+        updateTrashList();
+    }
+    if ('cacheRemoteImages' in changes) {
+        const checkbox = document.querySelector('#emojiUrlLocal');
+        if (checkbox) {
+            checkbox.checked = changes.cacheRemoteImages;
+        }
     }
-    
-    // Create new picker with updated data
-    const newPickerOptions = {
-        ...pickerOptions,
-        data: createCustomEmojiData()
-    };
-    
-    window.picker = new Picker(newPickerOptions);
-    picker.classList.add('displayNone');
-    document.body.appendChild(picker);
-    
-    // Update popper reference
-    popper.destroy();
-    window.popper = createPopper(addEmojiButton, picker, {
-        placement: 'top-end',
-        modifiers: [],
-    });
 }
 
 // Initialize
-const i18n = await getLocaleData();
+try {
+    await migrateFromLocalStorage();
+} catch (error) {
+    console.error('Error migrating custom emojis:', error);
+}
+
+try {
+    deleteUnusedServerImages(await purgeTrash(getSettings().trashRetentionDays));
+} catch (error) {
+    console.error('Error emptying the trash:', error);
+}
+
+// Emojis saved by older versions get their image hash in the background
+addMissingImageHashes().catch(error => console.error('Error hashing emoji images:', error));
+
+try {
+    await loadEmojiStats();
+} catch (error) {
+    console.error('Error loading favorites and usage statistics:', error);
+}
+
+const localeData = await getLocaleData();
+const i18n = localeData.default ?? localeData;
 const pickerOptions = {
-    onEmojiSelect: insertEmoji,
-    i18n: i18n,
+    onEmojiSelect: selectEmoji,
+    i18n: {
+        ...i18n,
+        // Labels of the pinned categories
+        categories: { ...i18n.categories, favorites: 'Favorites', recent: i18n.categories.frequent },
+    },
+    // Replaced by the pinned Frequently used category, which also covers custom emojis
+    maxFrequentRows: 0,
     locale: getLanguageCode(),
-    data: createCustomEmojiData(),
-    previewPosition: 'none',
-    skinTonePosition: 'search',
+    ...getPickerSettings(),
 };
 
-const picker = new Picker(pickerOptions);
 const buttonContainer = document.getElementById('leftSendForm');
 const addEmojiButton = document.createElement('div');
 addEmojiButton.id = 'addEmojiButton';
 addEmojiButton.title = 'Insert emoji';
 addEmojiButton.classList.add('fa-solid', 'fa-icons', 'interactable');
-addEmojiButton.tabIndex = 0;
+addEmojiButton.setAttribute('aria-haspopup', 'true');
+setupKeyboardButton(addEmojiButton, 'Insert emoji');
 
 // Add custom emoji manager button
 const manageButton = document.createElement('div');
 manageButton.id = 'manageCustomEmojis';
 manageButton.title = 'Manage custom emojis';
 manageButton.classList.add('fa-solid', 'fa-cog', 'interactable');
-manageButton.tabIndex = 0;
+manageButton.setAttribute('aria-haspopup', 'dialog');
+setupKeyboardButton(manageButton, 'Manage custom emojis');
 manageButton.style.marginRight = '5px';
 
 const manager = createCustomEmojiManager();
 
 manageButton.addEventListener('click', (e) => {
     e.stopPropagation();
-    manager.style.display = 'block';
-    updateCustomEmojiList();
+    openCustomEmojiManager();
 });
 
 buttonContainer.insertAdjacentElement('afterbegin', manageButton);
-
-const popper = createPopper(addEmojiButton, picker, {
-    placement: 'top-end',
-    modifiers: [],
+manageButton.classList.toggle('displayNone', !getSettings().showManagerButton);
+
+const pickerController = await createPickerController({
+    anchor: addEmojiButton,
+    pickerOptions,
+    loadCustomCategories: async () => [
+        ...createCustomEmojiData(await loadCustomEmojis(), await loadCustomPacks()),
+        ...createRegisteredEmojiData(),
+    ],
+    getPinnedCategories: createPinnedEmojiData,
+    // The button sits next to the message input, other fields get the picker next to them
+    getReference: () => {
+        if (reactionTarget) {
+            const { button } = reactionTarget;
+            // The extra message buttons may have been folded away again
+            return button.getClientRects().length > 0 ? button : (button.closest('.mes') ?? addEmojiButton);
+        }
+        const field = inputTarget.getField();
+        return field === textarea ? addEmojiButton : field;
+    },
 });
 
-picker.classList.add('displayNone');
 buttonContainer.insertAdjacentElement('afterbegin', addEmojiButton);
 
 buttonContainer.addEventListener('click', (e) => {
     if (e.target === addEmojiButton) {
-        picker.classList.toggle('displayNone');
-        popper.update();
-
-        if (!picker.classList.contains('displayNone')) {
-            const search = picker.shadowRoot?.querySelector('input[type="search"]');
-            if (search instanceof HTMLInputElement) {
-                search.value = '';
-                search.dispatchEvent(new Event('input'));
-                search.focus();
-            }
-        } else {
-            textarea.focus();
+        reactionTarget = null;
+        pickerController.toggle();
+
+        if (!pickerController.isOpen()) {
+            inputTarget.getField().focus();
         }
     }
 });
 
-document.body.appendChild(picker);
-
 document.body.addEventListener('click', (event) => {
-    if (!picker.classList.contains('displayNone') && !picker.contains(event.target) && !addEmojiButton.contains(event.target)) {
-        picker.classList.add('displayNone');
-        popper.update();
+    if (pickerController.isOpen() && !pickerController.contains(event.target)) {
+        pickerController.close();
     }
 });
 
 document.body.addEventListener('keyup', (event) => {
-    if (!picker.classList.contains('displayNone') && event.key === 'Escape') {
-        picker.classList.add('displayNone');
-        popper.update();
+    if (pickerController.isOpen() && event.key === 'Escape') {
+        const hadFocus = pickerController.contains(document.activeElement);
+        pickerController.close();
+        if (hadFocus) {
+            inputTarget.getField().focus();
+        }
+    }
+});
+
+// The shortcut works in every field emojis can be inserted into
+document.addEventListener('keydown', (event) => {
+    if (inputTarget.isEligible(event.target) && matchesHotkey(event, getSettings().pickerHotkey)) {
+        event.preventDefault();
+        reactionTarget = null;
+        pickerController.open();
+    }
+});
+
+createEmojiAutocomplete(textarea, {
+    getEmojis: getSearchableEmojis,
+    onSelect: insertEmoji,
+});
+
+const messageReactions = createMessageReactions({
+    getCustomEmoji,
+    onReact: toggleReactionPicker,
+});
+
+// Expand shortcodes and show reactions whenever messages are rendered or changed
+const { eventSource, event_types } = getContext();
+[
+    event_types.USER_MESSAGE_RENDERED,
+    event_types.CHARACTER_MESSAGE_RENDERED,
+    event_types.MESSAGE_EDITED,
+    event_types.MESSAGE_UPDATED,
+    event_types.MESSAGE_SWIPED,
+].forEach(eventType => eventSource.on(eventType, renderMessageEmojis));
+// Switching chats changes which scoped packs are available
+eventSource.on(event_types.CHAT_CHANGED, async () => {
+    refreshEmojiPicker();
+    // A closed manager is rendered when it is opened
+    if (manager.style.display !== 'none') {
+        await updateCustomEmojiList();
     }
 });
+eventSource.on(event_types.MORE_MESSAGES_LOADED, renderChatEmojis);
+renderChatEmojis();
+
+createSettingsPanel({
+    onChange: applySettings,
+    onOpenManager: openCustomEmojiManager,
+    onSyncNow: () => syncLibraryWithServer({ reportErrors: true }),
+});
+updateCustomEmojiPrompt();
+
+// Picks up changes made in other browsers
+if (getSettings().serverSync) {
+    syncLibraryWithServer();
+}
 
-// Export functions for external use
-window.EmojiPickerExtension = {
+registerSlashCommands({
+    loadCustomEmojis,
+    loadCustomPacks,
     addCustomEmoji,
     removeCustomEmoji,
-    loadCustomEmojis
-};
\ No newline at end of file
+    insertEmoji,
+    onChange: async () => {
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+    },
+});
+
+// Other extensions use the picker through this object
+window.EmojiPickerExtension = createPublicApi({
+    events: emojiEvents,
+    saveEmojiChanges: async (originalId, changes, options) => {
+        const updated = await saveEmojiChanges(originalId, changes, options);
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+        return updated;
+    },
+    trashEmojis: async (ids) => {
+        await trashCustomEmojis(ids);
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+    },
+    insertEmoji,
+    openPicker: () => {
+        reactionTarget = null;
+        pickerController.open();
+    },
+    closePicker: () => pickerController.close(),
+    onLibraryChanged: async () => {
+        refreshEmojiPicker();
+        await updateCustomEmojiList();
+    },
+    onRegisteredPacksChanged: () => {
+        pickerController.invalidate();
+        renderChatEmojis();
+    },
+    legacy: {
+        loadCustomEmojis,
+    },
+});
+document.dispatchEvent(new CustomEvent('emojiPickerReady', { detail: window.EmojiPickerExtension }));
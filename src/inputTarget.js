@@ -0,0 +1,49 @@
+// Tracks the text field that emojis are inserted into: the last focused textarea
+// or text input anywhere in SillyTavern, such as message edit boxes or the author's note.
+
+const TEXT_INPUT_TYPES = ['text', 'search'];
+
+// Fields of the extension itself never receive emojis
+const EXCLUDED_CONTAINERS = '#customEmojiManager, #emojiPickerSettings, .emojiPickerDialog';
+
+/**
+ * @typedef {Object} InputTarget
+ * @property {() => HTMLTextAreaElement|HTMLInputElement} getField The last focused field
+ * if it is still shown, otherwise the default field
+ * @property {(element: EventTarget) => boolean} isEligible Whether emojis can be inserted into an element
+ */
+
+/**
+ * Whether emojis can be inserted into an element
+ * @param {EventTarget} element
+ * @returns {boolean}
+ */
+function isEligibleField(element) {
+    const isTextField = element instanceof HTMLTextAreaElement
+        || (element instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(element.type));
+    return isTextField && !element.readOnly && !element.disabled && !element.closest(EXCLUDED_CONTAINERS);
+}
+
+/**
+ * Start following the focused text field
+ * @param {HTMLTextAreaElement} defaultField Used until another field is focused, or when that field is gone
+ * @returns {InputTarget}
+ */
+export function createInputTarget(defaultField) {
+    let lastField = defaultField;
+
+    document.addEventListener('focusin', (e) => {
+        if (isEligibleField(e.target)) {
+            lastField = /** @type {HTMLTextAreaElement|HTMLInputElement} */ (e.target);
+        }
+    });
+
+    return {
+        getField() {
+            // Edit boxes are removed when editing ends, and drawers hide their fields
+            const isShown = lastField.isConnected && lastField.getClientRects().length > 0;
+            return isShown && isEligibleField(lastField) ? lastField : defaultField;
+        },
+        isEligible: isEligibleField,
+    };
+}
@@ -0,0 +1,82 @@
+// Keyboard behaviour shared by modal dialogs and clickable elements.
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/**
+ * Get the visible elements of a container that can receive focus, in document order
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+export function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => element.getClientRects().length > 0);
+}
+
+/**
+ * Make an element behave as a modal dialog. Tab and Shift+Tab cycle through
+ * its controls, and Escape closes it.
+ * @param {HTMLElement} dialog
+ * @param {Object} options
+ * @param {string} options.labelledBy ID of the dialog title
+ * @param {() => void} options.onClose Called when Escape is pressed
+ */
+export function setupModalDialog(dialog, { labelledBy, onClose }) {
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', labelledBy);
+    dialog.tabIndex = -1;
+
+    dialog.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !e.isComposing) {
+            e.preventDefault();
+            e.stopPropagation();
+            onClose();
+            return;
+        }
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+}
+
+/**
+ * Let Enter and Space activate an element that is used as a button
+ * @param {HTMLElement} element
+ * @param {string} label Accessible name of the button
+ */
+export function setupKeyboardButton(element, label) {
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-label', label);
+    element.tabIndex = 0;
+
+    element.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && !e.repeat) {
+            e.preventDefault();
+            element.click();
+        }
+    });
+}
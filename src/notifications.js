@@ -0,0 +1,98 @@
+// Non-blocking notifications through SillyTavern's toastr.
+
+import { escapeHtml } from './utils';
+import { EmojiPickerError, ERROR_CODES } from './errors';
+
+const TITLE = 'Emoji Picker';
+const UNDO_TIMEOUT = 10000;
+
+/**
+ * Show a toast, or log the message where toastr is unavailable
+ * @param {'success'|'info'|'warning'|'error'} type
+ * @param {string} message
+ * @param {Object} [options] toastr options
+ * @returns {HTMLElement|null} The toast element
+ */
+function showToast(type, message, options = {}) {
+    const toastr = window.toastr;
+    if (!toastr) {
+        (type === 'error' ? console.error : console.log)(`${TITLE}: ${message}`);
+        return null;
+    }
+    const toast = toastr[type](message, TITLE, options);
+    return toast?.[0] ?? null;
+}
+
+/**
+ * @param {string} message
+ */
+export function notifySuccess(message) {
+    showToast('success', message);
+}
+
+/**
+ * @param {string} message
+ */
+export function notifyInfo(message) {
+    showToast('info', message);
+}
+
+/**
+ * Tell the user that an input is missing or invalid
+ * @param {string} message
+ */
+export function notifyWarning(message) {
+    showToast('warning', message);
+}
+
+/**
+ * @param {string} message
+ */
+export function notifyError(message) {
+    showToast('error', message);
+}
+
+/**
+ * Report a failed action: problems with the input as warnings, anything else as an error
+ * @param {Error} error
+ */
+export function notifyFailure(error) {
+    if (error instanceof EmojiPickerError && error.code !== ERROR_CODES.STORAGE_ERROR) {
+        notifyWarning(error.message);
+    } else {
+        notifyError(error.message);
+    }
+}
+
+/**
+ * Report a destructive action with an Undo button
+ * @param {string} message
+ * @param {() => any} onUndo Reverts the action. Called at most once.
+ * @param {() => any} [onExpire] Called once the action can no longer be undone
+ */
+export function notifyWithUndo(message, onUndo, onExpire) {
+    let isUndone = false;
+    const toast = showToast('info', `${escapeHtml(message)}<br><button class="menu_button emojiUndoButton">Undo</button>`, {
+        escapeHtml: false,
+        timeOut: UNDO_TIMEOUT,
+        extendedTimeOut: UNDO_TIMEOUT,
+        closeButton: true,
+        onHidden: () => {
+            if (!isUndone) {
+                onExpire?.();
+            }
+        },
+    });
+    if (!toast) {
+        onExpire?.();
+        return;
+    }
+
+    // The click also reaches the toast, which hides it
+    const button = toast.querySelector('.emojiUndoButton');
+    button?.addEventListener('click', () => {
+        isUndone = true;
+        button.disabled = true;
+        onUndo();
+    }, { once: true });
+}
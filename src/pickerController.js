@@ -0,0 +1,157 @@
+// Owns the emoji-mart picker and its popper. Changes to the custom emojis are
+// batched and patched into the live picker instead of recreating it.
+
+import { Picker } from 'emoji-mart';
+import data from '@emoji-mart/data';
+import { createPopper } from '@popperjs/core';
+
+const UPDATE_DELAY = 150;
+
+/**
+ * @typedef {Object} PickerController
+ * @property {HTMLElement} element The picker element
+ * @property {() => boolean} isOpen
+ * @property {() => void} open
+ * @property {() => void} close
+ * @property {() => void} toggle
+ * @property {(target: Node) => boolean} contains Whether a node is part of the picker or its button
+ * @property {() => Array} getCustomCategories Custom categories as last built
+ * @property {() => Promise<void>} invalidate Rebuild the custom categories after a short delay.
+ * Bursts of calls are collected into a single update.
+ * @property {(options: Object) => void} setOptions Change emoji-mart options of the live picker
+ */
+
+/**
+ * Create the picker and attach it to its button
+ * @param {Object} options
+ * @param {HTMLElement} options.anchor Button that opens the picker
+ * @param {Object} options.pickerOptions emoji-mart options, without the data and the custom categories
+ * @param {() => Promise<Array>} options.loadCustomCategories Builds the custom categories
+ * @param {(customCategories: Array) => Array} [options.getPinnedCategories] Builds the categories shown
+ * before all others. Their emojis are given by ID, and their labels are taken from `i18n.categories`.
+ * @param {() => Element} [options.getReference] Element the picker is placed next to when it is opened.
+ * Defaults to the button.
+ * @returns {Promise<PickerController>}
+ */
+export async function createPickerController({ anchor, pickerOptions, loadCustomCategories, getPinnedCategories = () => [], getReference = () => anchor }) {
+    let customCategories = await loadCustomCategories();
+    let pinnedCategories = [];
+    // The categories changed while the picker was closed
+    let isStale = false;
+    let updateTimeout = null;
+    let pendingUpdate = null;
+    let resolvePendingUpdate = null;
+
+    // emoji-mart always lists custom categories after the native ones, so pinned
+    // categories are put in front of the data it keeps instead. That is a copy, to
+    // leave the data module as it is for everyone else. Pinned categories have no
+    // name, which makes emoji-mart keep them when it initializes the data again.
+    const pickerData = { ...data, categories: [...data.categories] };
+    function pinCategories() {
+        const previousIds = new Set(pinnedCategories.map(category => category.id));
+        pinnedCategories = getPinnedCategories(customCategories);
+        pinnedCategories.forEach(category => previousIds.add(category.id));
+        pickerData.categories = [...pinnedCategories, ...pickerData.categories.filter(category => !previousIds.has(category.id))];
+    }
+
+    pinCategories();
+    const picker = new Picker({ ...pickerOptions, data: pickerData, custom: customCategories });
+    picker.classList.add('displayNone');
+    document.body.appendChild(picker);
+
+    // Positioned against whatever the reference is at the time of each update
+    const reference = {
+        getBoundingClientRect: () => getReference().getBoundingClientRect(),
+        contextElement: anchor,
+    };
+    const popper = createPopper(reference, picker, {
+        placement: 'top-end',
+        modifiers: [],
+    });
+
+    function isOpen() {
+        return !picker.classList.contains('displayNone');
+    }
+
+    function applyCustomCategories() {
+        isStale = false;
+        pinCategories();
+        // emoji-mart resets its grid when the custom categories change
+        picker.update({ custom: customCategories });
+    }
+
+    async function update() {
+        try {
+            customCategories = await loadCustomCategories();
+            // A closed picker is only updated when it is opened again
+            if (isOpen()) {
+                applyCustomCategories();
+            } else {
+                isStale = true;
+            }
+        } catch (error) {
+            console.error('Error updating the emoji picker:', error);
+        }
+    }
+
+    function open() {
+        if (isStale) {
+            applyCustomCategories();
+        }
+        picker.classList.remove('displayNone');
+        popper.update();
+
+        const search = picker.shadowRoot?.querySelector('input[type="search"]');
+        if (search instanceof HTMLInputElement) {
+            search.value = '';
+            search.dispatchEvent(new Event('input'));
+            search.focus();
+        }
+    }
+
+    function close() {
+        picker.classList.add('displayNone');
+        popper.update();
+    }
+
+    return {
+        element: picker,
+        isOpen,
+        open,
+        close,
+        toggle() {
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        },
+        contains(target) {
+            return picker.contains(target) || anchor.contains(target);
+        },
+        getCustomCategories() {
+            return customCategories;
+        },
+        setOptions(options) {
+            pinCategories();
+            isStale = false;
+            // Passing the categories again makes emoji-mart rebuild its grid for the new layout
+            picker.update({ ...options, custom: customCategories });
+            popper.update();
+        },
+        invalidate() {
+            clearTimeout(updateTimeout);
+            if (!pendingUpdate) {
+                pendingUpdate = new Promise(resolve => resolvePendingUpdate = resolve);
+            }
+            const currentUpdate = pendingUpdate;
+            updateTimeout = setTimeout(async () => {
+                const resolve = resolvePendingUpdate;
+                pendingUpdate = null;
+                await update();
+                resolve();
+            }, UPDATE_DELAY);
+            return currentUpdate;
+        },
+    };
+}
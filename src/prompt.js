@@ -0,0 +1,55 @@
+// Tells the model which custom emoji shortcodes it can use, through an extension prompt.
+
+import { toShortcode } from './shortcodes';
+import { getContext } from './context';
+
+const PROMPT_KEY = 'customEmojiPicker';
+
+// Values of SillyTavern's extension_prompt_types, for versions that do not expose them
+const FALLBACK_PROMPT_TYPES = { IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 };
+
+export const PROMPT_POSITIONS = Object.freeze({
+    in_prompt: 'IN_PROMPT',
+    in_chat: 'IN_CHAT',
+    before_prompt: 'BEFORE_PROMPT',
+});
+
+/**
+ * Build the list of shortcodes included in the prompt
+ * @param {Array} emojis Emojis available to the model, most important first
+ * @param {Object} options
+ * @param {boolean} options.includeKeywords Whether to list the keywords of each emoji
+ * @param {number} options.maxCount Maximum number of emojis
+ * @returns {string}
+ */
+export function formatEmojiList(emojis, { includeKeywords, maxCount }) {
+    return emojis.slice(0, maxCount).map(emoji => {
+        const keywords = (emoji.keywords ?? []).filter(keyword => keyword !== emoji.id);
+        return includeKeywords && keywords.length > 0
+            ? `${toShortcode(emoji.id)} (${keywords.join(', ')})`
+            : toShortcode(emoji.id);
+    }).join(', ');
+}
+
+/**
+ * Set or clear the extension prompt
+ * @param {Array} emojis Emojis available to the model, most important first
+ * @param {typeof import('./settings').DEFAULT_SETTINGS} settings
+ */
+export function updateEmojiPrompt(emojis, settings) {
+    const { setExtensionPrompt, extension_prompt_types: promptTypes = FALLBACK_PROMPT_TYPES } = getContext();
+    if (typeof setExtensionPrompt !== 'function') {
+        return;
+    }
+
+    const position = promptTypes[PROMPT_POSITIONS[settings.promptPosition]] ?? promptTypes.IN_CHAT;
+    const emojiList = formatEmojiList(emojis, {
+        includeKeywords: settings.promptKeywords,
+        maxCount: settings.promptMaxCount,
+    });
+    const prompt = settings.promptEnabled && emojiList
+        ? settings.promptTemplate.replace(/\{\{emojis\}\}/gi, emojiList)
+        : '';
+
+    setExtensionPrompt(PROMPT_KEY, prompt, position, settings.promptDepth);
+}
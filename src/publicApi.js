@@ -0,0 +1,411 @@
+// The API other extensions use through `window.EmojiPickerExtension`. Methods return
+// promises and reject with an `EmojiPickerError` instead of showing messages.
+
+import data from '@emoji-mart/data';
+import { loadEmojis, loadPacks, saveEmoji, getCachedEmoji, toStoredEmoji, DEFAULT_PACK_ID } from './storage';
+import { registerPack, unregisterPack, getRegisteredPacks, getRegisteredEmoji } from './registeredPacks';
+import { EmojiPickerError, ERROR_CODES, toStorageError } from './errors';
+import { getImageFileError } from './images';
+import { resolveEmoji } from './commands';
+import { getEmojiIdError, getImageUrlError } from './schema';
+import { findEmojiConflicts } from './duplicates';
+
+export const API_VERSION = 1;
+const DEFAULT_SEARCH_LIMIT = 50;
+
+/**
+ * @typedef {Object} PublicEmoji
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} keywords
+ * @property {string} [pack] ID of the pack, missing for native emojis
+ * @property {string} [src] Image URL of a custom emoji. Uploaded images get an object URL that lives as long as the page.
+ * @property {string} [url] Remote URL of a custom emoji that is not stored in the browser
+ * @property {string} [native] Character of a native emoji
+ * @property {number} [added] Time the emoji was added to the library
+ * @property {boolean} registered Whether the emoji belongs to a pack registered by an extension
+ */
+
+/**
+ * @typedef {Object} EmojiInput
+ * @property {string} id Letters, digits, `_` and `-`
+ * @property {string} name
+ * @property {string|Blob} source Image blob, data URL or image URL
+ * @property {string[]} [keywords]
+ * @property {string} [pack] Pack ID, the default pack if omitted
+ */
+
+/**
+ * Copy the fields of an emoji that callers may rely on
+ * @param {Object} emoji Stored, registered or native emoji
+ * @returns {PublicEmoji}
+ */
+export function toPublicEmoji(emoji) {
+    const publicEmoji = {
+        id: emoji.id,
+        name: emoji.name,
+        keywords: [...(emoji.keywords ?? [])],
+        registered: Boolean(emoji.registered),
+    };
+    for (const key of ['pack', 'src', 'url', 'native', 'added']) {
+        if (emoji[key] !== undefined) {
+            publicEmoji[key] = emoji[key];
+        }
+    }
+    return publicEmoji;
+}
+
+/**
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {EmojiPickerError}
+ */
+function invalid(message, details) {
+    return new EmojiPickerError(ERROR_CODES.INVALID_ARGUMENT, message, { details });
+}
+
+/**
+ * Check the fields of a new or changed emoji
+ * @param {Partial<EmojiInput>} input
+ * @param {Array} packs
+ */
+function validateEmojiInput(input, packs) {
+    const idError = input.id !== undefined ? getEmojiIdError(input.id) : null;
+    if (idError) {
+        throw invalid(idError, { id: input.id });
+    }
+    if (input.name !== undefined && (typeof input.name !== 'string' || !input.name.trim())) {
+        throw invalid('The emoji name must be a non-empty string', { id: input.id });
+    }
+    if (input.keywords !== undefined && (!Array.isArray(input.keywords) || input.keywords.some(keyword => typeof keyword !== 'string'))) {
+        throw invalid('Keywords must be an array of strings', { id: input.id });
+    }
+    if (input.pack !== undefined && !packs.some(pack => pack.id === input.pack)) {
+        throw new EmojiPickerError(ERROR_CODES.NOT_FOUND, `Emoji pack "${input.pack}" not found`, { details: { pack: input.pack } });
+    }
+    if (input.source === undefined) {
+        return;
+    }
+    if (input.source instanceof Blob) {
+        const error = getImageFileError(input.source);
+        if (error) {
+            throw invalid(error, { id: input.id });
+        }
+    } else {
+        const urlError = getImageUrlError(input.source);
+        if (urlError) {
+            throw invalid(urlError, { id: input.id });
+        }
+    }
+}
+
+/**
+ * Rank how well an emoji matches a search
+ * @param {{id: string, name: string, keywords?: string[]}} emoji
+ * @param {string} query Lowercase query
+ * @returns {number} 0 if it does not match, higher for better matches
+ */
+function getMatchScore(emoji, query) {
+    const id = emoji.id.toLowerCase();
+    const name = String(emoji.name ?? '').toLowerCase();
+    if (id === query || name === query) {
+        return 3;
+    }
+    if (id.startsWith(query) || name.startsWith(query)) {
+        return 2;
+    }
+    const texts = [id, name, ...(emoji.keywords ?? []).map(keyword => String(keyword).toLowerCase())];
+    return texts.some(text => text.includes(query)) ? 1 : 0;
+}
+
+/**
+ * Create the public API
+ * @param {Object} options
+ * @param {import('./events').EventEmitter} options.events Events announced to other extensions
+ * @param {(originalId: string, changes: Object, options: {rewriteReferences?: boolean}) => Promise<Object>} options.saveEmojiChanges
+ * Updates a stored emoji, rejects with an `EmojiPickerError`
+ * @param {(ids: string[]) => Promise<void>} options.trashEmojis Moves stored emojis to the trash, rejects with an `EmojiPickerError`
+ * @param {(emoji: Object) => Promise<void>} options.insertEmoji Inserts into the last focused text field
+ * @param {() => void} options.openPicker
+ * @param {() => void} options.closePicker
+ * @param {() => Promise<void>} options.onLibraryChanged Called after emojis were added through the API
+ * @param {() => void} options.onRegisteredPacksChanged
+ * @param {{loadCustomEmojis: () => Promise<Array>}} options.legacy Functions exported by older versions, kept for existing callers
+ * @returns {Object}
+ */
+export function createPublicApi({ events, saveEmojiChanges, trashEmojis, insertEmoji, openPicker, closePicker, onLibraryChanged, onRegisteredPacksChanged, legacy }) {
+    async function loadLibrary() {
+        try {
+            return await loadEmojis();
+        } catch (error) {
+            throw toStorageError(error, 'Failed to load the custom emojis');
+        }
+    }
+
+    function getAllCustomEmojis(library) {
+        return [...library, ...getRegisteredPacks().flatMap(pack => pack.emojis)];
+    }
+
+    /**
+     * Find a stored or registered custom emoji
+     * @param {string} id
+     * @returns {Promise<PublicEmoji|null>}
+     */
+    async function get(id) {
+        await loadLibrary();
+        const emoji = getCachedEmoji(id) ?? getRegisteredEmoji(id);
+        return emoji ? toPublicEmoji(emoji) : null;
+    }
+
+    /**
+     * List the stored and registered custom emojis
+     * @returns {Promise<PublicEmoji[]>}
+     */
+    async function list() {
+        return getAllCustomEmojis(await loadLibrary()).map(toPublicEmoji);
+    }
+
+    /**
+     * Search custom emojis, and native ones if requested, by ID, name and keywords
+     * @param {string} query
+     * @param {{limit?: number, includeNative?: boolean}} [options]
+     * @returns {Promise<PublicEmoji[]>} Best matches first
+     */
+    async function search(query, { limit = DEFAULT_SEARCH_LIMIT, includeNative = false } = {}) {
+        if (typeof query !== 'string') {
+            throw invalid('The search query must be a string');
+        }
+        const lowerQuery = query.trim().replace(/^:|:$/g, '').toLowerCase();
+        if (!lowerQuery) {
+            return [];
+        }
+
+        const candidates = getAllCustomEmojis(await loadLibrary());
+        if (includeNative) {
+            candidates.push(...Object.values(data.emojis)
+                .filter(emoji => emoji.skins?.[0]?.native)
+                .map(emoji => ({ ...emoji, native: emoji.skins[0].native })));
+        }
+        return candidates
+            .map(emoji => ({ emoji, score: getMatchScore(emoji, lowerQuery) }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ emoji }) => toPublicEmoji(emoji));
+    }
+
+    /**
+     * Add an emoji to the library. Like the manager, it refuses images that are already stored under another ID.
+     * @param {EmojiInput} input
+     * @param {{overwrite?: boolean}} [options] Whether to replace a stored emoji with the same ID
+     * @returns {Promise<PublicEmoji>}
+     */
+    async function add(input, { overwrite = false } = {}) {
+        if (typeof input?.id !== 'string' || typeof input.name !== 'string' || input.source === undefined) {
+            throw invalid('An emoji needs an id, a name and a source');
+        }
+        const library = await loadLibrary();
+        const packs = await loadPacks();
+        const emoji = { keywords: [], pack: DEFAULT_PACK_ID, ...input, name: input.name.trim() };
+        validateEmojiInput(emoji, packs);
+
+        const existing = library.find(e => e.id === emoji.id);
+        if (existing && !overwrite) {
+            throw new EmojiPickerError(ERROR_CODES.ALREADY_EXISTS, `Emoji "${emoji.id}" already exists`, { details: { id: emoji.id } });
+        }
+        if (library.some(e => e.name === emoji.name && e.id !== emoji.id)) {
+            throw new EmojiPickerError(ERROR_CODES.ALREADY_EXISTS, `An emoji named "${emoji.name}" already exists`, { details: { id: emoji.id, name: emoji.name } });
+        }
+        const [conflict] = await findEmojiConflicts([{ id: emoji.id, name: emoji.name, source: emoji.source }], library);
+        if (conflict?.sameImage && conflict.sameImage.id !== emoji.id) {
+            throw new EmojiPickerError(ERROR_CODES.DUPLICATE_IMAGE, `Emoji "${conflict.sameImage.id}" already has this image`, {
+                details: { id: emoji.id, duplicateOf: conflict.sameImage.id },
+            });
+        }
+
+        try {
+            const record = await toStoredEmoji(emoji.id, emoji.name, emoji.source, emoji.keywords, emoji.pack);
+            if (existing) {
+                record.added = existing.added;
+                record.order = existing.order;
+            }
+            await saveEmoji(record);
+        } catch (error) {
+            throw toStorageError(error, `Failed to save emoji "${emoji.id}"`, { id: emoji.id });
+        }
+
+        const saved = toPublicEmoji(getCachedEmoji(emoji.id));
+        await onLibraryChanged();
+        if (existing) {
+            events.emit('emoji:updated', { emoji: saved, previousId: emoji.id });
+        } else {
+            events.emit('emoji:added', { emoji: saved });
+        }
+        return saved;
+    }
+
+    /**
+     * Change a stored emoji
+     * @param {string} id
+     * @param {Partial<EmojiInput> & {rewriteReferences?: boolean}} changes Fields to change. With `rewriteReferences`,
+     * references to a changed ID in the current chat are updated.
+     * @returns {Promise<PublicEmoji>}
+     */
+    async function update(id, changes = {}) {
+        await loadLibrary();
+        const existing = getCachedEmoji(id);
+        if (!existing) {
+            throw new EmojiPickerError(ERROR_CODES.NOT_FOUND, `Emoji "${id}" not found`, { details: { id } });
+        }
+        const { rewriteReferences = false, ...fields } = changes;
+        validateEmojiInput(fields, await loadPacks());
+
+        const updated = await saveEmojiChanges(id, {
+            id: fields.id ?? existing.id,
+            name: fields.name?.trim() ?? existing.name,
+            keywords: fields.keywords ?? existing.keywords,
+            pack: fields.pack ?? existing.pack,
+            source: fields.source,
+        }, { rewriteReferences });
+        return toPublicEmoji(updated);
+    }
+
+    /**
+     * Move a stored emoji to the trash
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async function remove(id) {
+        await loadLibrary();
+        if (!getCachedEmoji(id)) {
+            throw new EmojiPickerError(ERROR_CODES.NOT_FOUND, `Emoji "${id}" not found`, { details: { id } });
+        }
+        await trashEmojis([id]);
+    }
+
+    // Legacy functions that were already called, so each warns only once
+    const warnedLegacyFunctions = new Set();
+
+    /**
+     * Warn callers of an older function that it now returns a promise
+     * @param {string} name
+     * @param {string} replacement
+     */
+    function warnLegacyCall(name, replacement) {
+        if (warnedLegacyFunctions.has(name)) {
+            return;
+        }
+        warnedLegacyFunctions.add(name);
+        console.warn(`Emoji Picker: EmojiPickerExtension.${name} is deprecated and now returns a promise instead of its result. Use ${replacement} instead.`);
+    }
+
+    /**
+     * `addCustomEmoji` of older versions: saves or replaces an emoji without asking the user.
+     * New callers use `add`, which reports why an emoji was not saved.
+     * @param {string} id
+     * @param {string} name
+     * @param {string} url Image URL or data URL
+     * @param {string[]} [keywords]
+     * @returns {Promise<boolean>} Whether the emoji was saved
+     */
+    async function legacyAddCustomEmoji(id, name, url, keywords = []) {
+        warnLegacyCall('addCustomEmoji', 'add');
+        try {
+            await add({ id, name, source: url, keywords }, { overwrite: true });
+            return true;
+        } catch (error) {
+            console.warn('Emoji Picker: addCustomEmoji failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * `removeCustomEmoji` of older versions. New callers use `remove`.
+     * @param {string} id
+     * @returns {Promise<boolean>} Whether the emoji was moved to the trash
+     */
+    async function legacyRemoveCustomEmoji(id) {
+        warnLegacyCall('removeCustomEmoji', 'remove');
+        try {
+            await remove(id);
+            return true;
+        } catch (error) {
+            console.warn('Emoji Picker: removeCustomEmoji failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * `loadCustomEmojis` of older versions. New callers use `list`.
+     * @returns {Promise<Array>}
+     */
+    function legacyLoadCustomEmojis() {
+        warnLegacyCall('loadCustomEmojis', 'list');
+        return legacy.loadCustomEmojis();
+    }
+
+    /**
+     * Insert an emoji into the last focused text field
+     * @param {string|{id: string}} emoji Custom emoji ID or name, emoji-mart ID, shortcode or native character
+     * @returns {Promise<void>}
+     */
+    async function insert(emoji) {
+        const value = typeof emoji === 'string' ? emoji : emoji?.id;
+        if (typeof value !== 'string' || !value.trim()) {
+            throw invalid('Pass an emoji ID, shortcode or character');
+        }
+        const resolved = resolveEmoji(value, getAllCustomEmojis(await loadLibrary()));
+        if (!resolved) {
+            throw new EmojiPickerError(ERROR_CODES.NOT_FOUND, `Emoji "${value}" not found`, { details: { id: value } });
+        }
+        await insertEmoji(resolved);
+    }
+
+    /**
+     * Add a pack that is shown in the picker until the page is reloaded. It is not saved.
+     * @param {import('./registeredPacks').RegisteredPackInput} pack
+     * @returns {() => boolean} Removes the pack again
+     */
+    function registerExtensionPack(pack) {
+        registerPack(pack);
+        onRegisteredPacksChanged();
+        events.emit('pack:registered', { id: pack.id });
+        return () => unregisterExtensionPack(pack.id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the pack was registered
+     */
+    function unregisterExtensionPack(id) {
+        if (!unregisterPack(id)) {
+            return false;
+        }
+        onRegisteredPacksChanged();
+        events.emit('pack:unregistered', { id });
+        return true;
+    }
+
+    return Object.freeze({
+        version: API_VERSION,
+        ERROR_CODES,
+        EmojiPickerError,
+        get,
+        list,
+        search,
+        add,
+        update,
+        remove,
+        insert,
+        open: async () => openPicker(),
+        close: async () => closePicker(),
+        registerPack: registerExtensionPack,
+        unregisterPack: unregisterExtensionPack,
+        on: events.on,
+        off: events.off,
+        once: events.once,
+        addCustomEmoji: legacyAddCustomEmoji,
+        removeCustomEmoji: legacyRemoveCustomEmoji,
+        loadCustomEmojis: legacyLoadCustomEmojis,
+    });
+}
@@ -0,0 +1,255 @@
+// Emoji reactions on chat messages. They are kept in the `extra` metadata of
+// each message, so they are saved in the chat file together with the message.
+
+import { toShortcode } from './shortcodes';
+import { escapeHtml } from './utils';
+import { notifyError } from './notifications';
+import { getContext } from './context';
+
+const REACTIONS_KEY = 'emoji_reactions';
+
+/**
+ * @typedef {Object} Reaction
+ * @property {string} id Emoji ID
+ * @property {string} [native] Native emoji including its skin tone. Missing for custom emojis.
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} MessageReactions
+ * @property {(messageId: number, emoji: {id: string, native?: string}) => Promise<void>} addReaction
+ * @property {(messageId: number|string) => void} renderMessage Update the reactions shown under a message
+ * @property {() => void} renderChat Update the reactions of every rendered message
+ */
+
+/**
+ * Identify a reaction. Native emojis with different skin tones are separate reactions.
+ * @param {{id: string, native?: string}} reaction
+ * @returns {string}
+ */
+function getReactionKey(reaction) {
+    return reaction.native ?? toShortcode(reaction.id);
+}
+
+/**
+ * Get the reactions of a chat message
+ * @param {Object} message
+ * @returns {Reaction[]}
+ */
+export function getReactions(message) {
+    const reactions = message?.extra?.[REACTIONS_KEY];
+    return Array.isArray(reactions) ? reactions : [];
+}
+
+/**
+ * @param {Object} message
+ * @param {Reaction[]} reactions
+ */
+function setReactions(message, reactions) {
+    message.extra = message.extra ?? {};
+    if (reactions.length > 0) {
+        message.extra[REACTIONS_KEY] = reactions;
+    } else {
+        delete message.extra[REACTIONS_KEY];
+    }
+}
+
+/**
+ * Change the count of a reaction, adding or removing it as needed
+ * @param {Reaction[]} reactions
+ * @param {{id: string, native?: string}} emoji
+ * @param {number} delta
+ * @returns {Reaction[]}
+ */
+function changeCount(reactions, emoji, delta) {
+    const key = getReactionKey(emoji);
+    if (!reactions.some(reaction => getReactionKey(reaction) === key)) {
+        const reaction = emoji.native ? { id: emoji.id, native: emoji.native, count: 0 } : { id: emoji.id, count: 0 };
+        reactions = [...reactions, reaction];
+    }
+    return reactions
+        .map(reaction => getReactionKey(reaction) === key ? { ...reaction, count: reaction.count + delta } : reaction)
+        .filter(reaction => reaction.count > 0);
+}
+
+/**
+ * Point the reactions of a message to a custom emoji whose ID was changed
+ * @param {Object} message
+ * @param {string} oldId
+ * @param {string} newId
+ * @returns {boolean} Whether the message was changed
+ */
+export function renameMessageReactions(message, oldId, newId) {
+    const reactions = getReactions(message);
+    const renamed = reactions.filter(reaction => !reaction.native && reaction.id === oldId);
+    if (renamed.length === 0) {
+        return false;
+    }
+    // Counts are merged if the message also has reactions with the new ID
+    const count = renamed.reduce((sum, reaction) => sum + reaction.count, 0);
+    setReactions(message, changeCount(reactions.filter(reaction => !renamed.includes(reaction)), { id: newId }, count));
+    return true;
+}
+
+/**
+ * Add reaction chips under chat messages and handle clicks on them
+ * @param {Object} options
+ * @param {(id: string) => Object|undefined} options.getCustomEmoji Returns the custom emoji for an ID
+ * @param {(messageId: number, button: HTMLElement) => void} options.onReact Called when the react button of a message is clicked
+ * @returns {MessageReactions}
+ */
+export function createMessageReactions({ getCustomEmoji, onReact }) {
+    const chat = document.getElementById('chat');
+
+    function getMessage(messageId) {
+        return getContext().chat?.[Number(messageId)];
+    }
+
+    /**
+     * @param {Reaction} reaction
+     * @returns {string} HTML of the emoji
+     */
+    function renderEmoji(reaction) {
+        if (reaction.native) {
+            return escapeHtml(reaction.native);
+        }
+        const emoji = getCustomEmoji(reaction.id);
+        return emoji
+            ? `<img class="emojiReactionImage" src="${escapeHtml(emoji.src)}" alt="${escapeHtml(toShortcode(reaction.id))}" draggable="false">`
+            : escapeHtml(toShortcode(reaction.id));
+    }
+
+    function renderMessage(messageId) {
+        const messageElement = chat?.querySelector(`.mes[mesid="${messageId}"]`);
+        const messageText = messageElement?.querySelector('.mes_text');
+        if (!messageText) {
+            return;
+        }
+
+        addReactButton(messageElement);
+        let row = messageElement.querySelector('.emojiReactions');
+        const reactions = getReactions(getMessage(messageId));
+        if (reactions.length === 0) {
+            row?.remove();
+            return;
+        }
+        if (!row) {
+            row = document.createElement('div');
+            row.classList.add('emojiReactions');
+            messageText.insertAdjacentElement('afterend', row);
+        }
+
+        row.innerHTML = reactions.map(reaction => {
+            const key = escapeHtml(getReactionKey(reaction));
+            return `
+                <span class="emojiReaction">
+                    <button class="emojiReactionAdd" data-key="${key}" title="Add another ${key}">
+                        ${renderEmoji(reaction)}
+                        <span class="emojiReactionCount">${reaction.count}</span>
+                    </button>
+                    <button class="emojiReactionRemove" data-key="${key}" title="Remove one ${key}" aria-label="Remove one ${key}">×</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    function renderChat() {
+        chat?.querySelectorAll('.mes[mesid]').forEach(messageElement => renderMessage(messageElement.getAttribute('mesid')));
+    }
+
+    /**
+     * @param {number} messageId
+     * @param {{id: string, native?: string}} emoji
+     * @param {number} delta
+     */
+    async function changeReaction(messageId, emoji, delta) {
+        const message = getMessage(messageId);
+        if (!message) {
+            return;
+        }
+        const previous = getReactions(message);
+        setReactions(message, changeCount(previous, emoji, delta));
+        const changed = message.extra[REACTIONS_KEY];
+        renderMessage(messageId);
+
+        try {
+            await getContext().saveChat();
+        } catch (error) {
+            console.error('Error saving chat:', error);
+            notifyError('Failed to save the reaction.');
+            // An unsaved reaction would be saved with the next unrelated change. Later changes are kept.
+            if (getMessage(messageId) === message && message.extra?.[REACTIONS_KEY] === changed) {
+                setReactions(message, previous);
+                renderMessage(messageId);
+            }
+        }
+    }
+
+    // The template is copied for every new message, existing messages get the button when rendered
+    const template = document.querySelector('#message_template .mes_buttons .extraMesButtons');
+    if (template && !template.querySelector('.emojiReactButton')) {
+        template.prepend(createReactButton());
+    }
+
+    chat?.addEventListener('click', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        const messageId = Number(target.closest('.mes[mesid]')?.getAttribute('mesid'));
+        if (!Number.isInteger(messageId)) {
+            return;
+        }
+
+        const reactButton = target.closest('.emojiReactButton');
+        if (reactButton instanceof HTMLElement) {
+            // Keeps the picker open, it would be closed as a click outside of it
+            e.stopPropagation();
+            onReact(messageId, reactButton);
+            return;
+        }
+
+        const chip = target.closest('.emojiReactionAdd, .emojiReactionRemove');
+        if (chip instanceof HTMLElement) {
+            const reaction = getReactions(getMessage(messageId)).find(reaction => getReactionKey(reaction) === chip.dataset.key);
+            if (reaction) {
+                changeReaction(messageId, reaction, chip.classList.contains('emojiReactionAdd') ? 1 : -1);
+            }
+        }
+    });
+
+    // Listeners are not copied from the template, so keyboard activation is delegated as well
+    chat?.addEventListener('keydown', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if ((e.key === 'Enter' || e.key === ' ') && !e.repeat && target.classList?.contains('emojiReactButton')) {
+            e.preventDefault();
+            target.click();
+        }
+    });
+
+    return {
+        addReaction: (messageId, emoji) => changeReaction(messageId, emoji, 1),
+        renderMessage,
+        renderChat,
+    };
+}
+
+/**
+ * @returns {HTMLElement}
+ */
+function createReactButton() {
+    const button = document.createElement('div');
+    button.classList.add('mes_button', 'emojiReactButton', 'fa-regular', 'fa-face-smile', 'interactable');
+    button.title = 'React with an emoji';
+    button.setAttribute('role', 'button');
+    button.tabIndex = 0;
+    return button;
+}
+
+/**
+ * Add the react button to a message rendered before the template was changed
+ * @param {Element} messageElement
+ */
+function addReactButton(messageElement) {
+    const buttons = messageElement.querySelector('.mes_buttons .extraMesButtons');
+    if (buttons && !buttons.querySelector('.emojiReactButton')) {
+        buttons.prepend(createReactButton());
+    }
+}
@@ -0,0 +1,130 @@
+// Emoji packs supplied by other extensions through the public API. They are only
+// kept in memory, so extensions register them again whenever the page loads.
+
+import { EmojiPickerError, ERROR_CODES } from './errors';
+import { EMOJI_ID_PATTERN, getEmojiIdError, getImageUrlError } from './schema';
+
+const DEFAULT_ICON = '🧩';
+
+/**
+ * @typedef {Object} RegisteredPackInput
+ * @property {string} id Letters, digits, `_` and `-`
+ * @property {string} name
+ * @property {string} [icon] Emoji shown on the pack's category tab
+ * @property {{id: string, name?: string, src: string, keywords?: string[]}[]} emojis Images are referenced by URL
+ */
+
+/** @type {Map<string, {id: string, name: string, icon: string, emojis: Array}>} */
+const packs = new Map();
+
+/**
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {EmojiPickerError}
+ */
+function invalid(message, details) {
+    return new EmojiPickerError(ERROR_CODES.INVALID_ARGUMENT, message, { details });
+}
+
+/**
+ * Check an emoji of a registered pack and bring it into the shape of stored emojis
+ * @param {Object} emoji
+ * @param {string} packId
+ * @returns {Object}
+ */
+function toRegisteredEmoji(emoji, packId) {
+    const idError = getEmojiIdError(emoji?.id);
+    if (idError) {
+        throw invalid(idError, { pack: packId, id: emoji?.id });
+    }
+    const urlError = getImageUrlError(emoji.src);
+    if (urlError) {
+        throw invalid(`Emoji "${emoji.id}": ${urlError}`, { pack: packId, id: emoji.id });
+    }
+    const keywords = emoji.keywords ?? [];
+    if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string')) {
+        throw invalid(`The keywords of emoji "${emoji.id}" must be an array of strings`, { pack: packId, id: emoji.id });
+    }
+
+    const name = typeof emoji.name === 'string' && emoji.name.trim() ? emoji.name.trim() : emoji.id;
+    const src = emoji.src.trim();
+    return {
+        id: emoji.id,
+        name,
+        keywords,
+        pack: packId,
+        url: src,
+        src,
+        skins: [{ src }],
+        registered: true,
+    };
+}
+
+/**
+ * Add a pack, or replace the pack registered with the same ID
+ * @param {RegisteredPackInput} input
+ */
+export function registerPack(input) {
+    if (typeof input?.id !== 'string' || !EMOJI_ID_PATTERN.test(input.id)) {
+        throw invalid('Pack IDs can only contain letters, numbers, underscores, and hyphens', { pack: input?.id });
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        throw invalid('The pack needs a name', { pack: input.id });
+    }
+    if (!Array.isArray(input.emojis)) {
+        throw invalid('The emojis of the pack must be an array', { pack: input.id });
+    }
+
+    const emojis = input.emojis.map(emoji => toRegisteredEmoji(emoji, input.id));
+    const ids = new Set();
+    for (const emoji of emojis) {
+        if (ids.has(emoji.id)) {
+            throw invalid(`Emoji "${emoji.id}" is listed twice`, { pack: input.id, id: emoji.id });
+        }
+        ids.add(emoji.id);
+        const owner = getRegisteredEmoji(emoji.id)?.pack;
+        if (owner && owner !== input.id) {
+            throw new EmojiPickerError(ERROR_CODES.ALREADY_EXISTS, `Emoji "${emoji.id}" is already registered by pack "${owner}"`, {
+                details: { pack: input.id, id: emoji.id, registeredBy: owner },
+            });
+        }
+    }
+
+    packs.set(input.id, {
+        id: input.id,
+        name: input.name.trim(),
+        icon: typeof input.icon === 'string' && input.icon.trim() ? input.icon.trim() : DEFAULT_ICON,
+        emojis,
+    });
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether the pack was registered
+ */
+export function unregisterPack(id) {
+    return packs.delete(id);
+}
+
+/**
+ * Get the registered packs in the order they were registered
+ * @returns {Array}
+ */
+export function getRegisteredPacks() {
+    return Array.from(packs.values());
+}
+
+/**
+ * Find an emoji of a registered pack
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getRegisteredEmoji(id) {
+    for (const pack of packs.values()) {
+        const emoji = pack.emojis.find(e => e.id === id);
+        if (emoji) {
+            return emoji;
+        }
+    }
+    return undefined;
+}
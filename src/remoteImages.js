@@ -0,0 +1,152 @@
+// Emojis whose image is only referenced by a URL on another site. Their images can be
+// downloaded into the browser, and their links checked for hosts that went away.
+
+import { getImageFileError, getImageTypeFromName, isAllowedImageType } from './images';
+
+const REQUEST_TIMEOUT = 15000;
+const CHECK_CONCURRENCY = 4;
+
+/**
+ * Check whether an image is loaded from another site, as opposed to
+ * a data URL or a file on the SillyTavern server
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+export function isRemoteImageUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Fetch a URL, giving up after a while
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+        return await fetch(url, { ...options, cache: 'no-store', signal: controller.signal });
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Load a URL into an image element. Unlike fetch, this works for hosts that do not allow
+ * requests from other sites, but it only tells whether the URL is a displayable image.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+function canLoadImage(url) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        const timeout = setTimeout(() => finish(false), REQUEST_TIMEOUT);
+        function finish(loaded) {
+            clearTimeout(timeout);
+            image.onload = image.onerror = null;
+            image.src = '';
+            resolve(loaded);
+        }
+        image.onload = () => finish(true);
+        image.onerror = () => finish(false);
+        image.src = url;
+    });
+}
+
+/**
+ * Download an image so it can be stored in the browser
+ * @param {string} url
+ * @returns {Promise<Blob>}
+ * @throws {Error} If the image cannot be downloaded or breaks the image rules
+ */
+export async function downloadImage(url) {
+    let response;
+    try {
+        response = await fetchWithTimeout(url);
+    } catch (error) {
+        throw new Error('The image could not be downloaded. The site is unreachable or does not allow downloads from other sites.', { cause: error });
+    }
+    if (!response.ok) {
+        throw new Error(`The image could not be downloaded: ${response.status} ${response.statusText}`.trim());
+    }
+
+    let blob = await response.blob();
+    // Some hosts send every file as application/octet-stream
+    if (!isAllowedImageType(blob.type)) {
+        const type = getImageTypeFromName(new URL(url).pathname);
+        if (type && !blob.type.startsWith('text/')) {
+            blob = new Blob([blob], { type });
+        }
+    }
+    const error = getImageFileError(blob);
+    if (error) {
+        throw new Error(error);
+    }
+    return blob;
+}
+
+/**
+ * Check that a URL still points to an image
+ * @param {string} url
+ * @returns {Promise<string|null>} What is wrong with the link, or null if it works
+ */
+export async function checkImageUrl(url) {
+    try {
+        const response = await fetchWithTimeout(url, { method: 'HEAD' });
+        // Some hosts do not answer HEAD requests
+        if (response.status !== 405 && response.status !== 501) {
+            if (!response.ok) {
+                return `The site answered ${response.status} ${response.statusText}`.trim();
+            }
+            const type = response.headers.get('Content-Type') ?? '';
+            if (type && !type.startsWith('image/') && type !== 'application/octet-stream') {
+                return `The link does not point to an image (${type.split(';')[0]})`;
+            }
+            return null;
+        }
+    } catch {
+        // Blocked for other sites or unreachable, loading the image tells which
+    }
+    return await canLoadImage(url) ? null : 'The image is unreachable or not an image';
+}
+
+/**
+ * Run a task for every item, a few at a time
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T) => Promise<R>} task
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<R[]>} Results in the order of the items
+ */
+export async function mapWithConcurrency(items, task, onProgress) {
+    const results = new Array(items.length);
+    let next = 0;
+    let done = 0;
+    async function work() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+            onProgress?.(++done, items.length);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(CHECK_CONCURRENCY, items.length) }, work));
+    return results;
+}
+
+/**
+ * Find emojis whose image link is broken. Images stored in the browser are not checked.
+ * @param {Array} emojis
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{id: string, url: string, error: string}[]>}
+ */
+export async function findBrokenImageLinks(emojis, onProgress) {
+    const linked = emojis.filter(emoji => !emoji.blob && typeof emoji.url === 'string');
+    // Emojis sharing an image are checked once
+    const urls = [...new Set(linked.map(emoji => emoji.url))];
+    const errors = await mapWithConcurrency(urls, checkImageUrl, onProgress);
+    const errorsByUrl = new Map(urls.map((url, index) => [url, errors[index]]));
+    return linked
+        .filter(emoji => errorsByUrl.get(emoji.url))
+        .map(emoji => ({ id: emoji.id, url: emoji.url, error: errorsByUrl.get(emoji.url) }));
+}
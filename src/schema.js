@@ -0,0 +1,200 @@
+// Versioned schema of stored emojis and export manifests. Every record carries the
+// version it was written with; migrations upgrade older records one version at a time.
+
+import { isAllowedImageType } from './images';
+import { MANIFEST_SCHEMA_VERSION } from './exporter';
+
+/**
+ * Version 1 is every record saved before records were versioned.
+ * Version 2 no longer repeats the name as the first keyword.
+ */
+export const EMOJI_SCHEMA_VERSION = 2;
+export const EMOJI_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_ID_LENGTH = 100;
+// Files in the user's folder on the SillyTavern server, with or without the leading slash
+const SERVER_FILE_PATTERN = /^\/?user\/files\/[^\s?#\\]+$/;
+
+/**
+ * @typedef {Object} StoredEmoji
+ * @property {number} schemaVersion
+ * @property {string} id Letters, digits, `_` and `-`
+ * @property {string} name
+ * @property {string[]} keywords Search keywords besides the name
+ * @property {string} pack ID of the pack
+ * @property {Blob} [blob] Image stored in the browser
+ * @property {string} [url] Image URL, used when there is no blob
+ * @property {number} [added] Time the emoji was added
+ * @property {number} [order] Position set by reordering
+ * @property {string} [hash] Hash of the stored or uploaded image, used to find duplicates
+ * @property {boolean} [synced] Whether the emoji is part of the library on the server
+ */
+
+/**
+ * @param {Object} record
+ * @returns {Object}
+ */
+function removeNameFromKeywords(record) {
+    const keywords = Array.isArray(record.keywords) ? record.keywords : [];
+    return { ...record, keywords: keywords.filter(keyword => keyword !== record.name) };
+}
+
+// Each migration upgrades a record from the version it is keyed by to the next one
+const EMOJI_MIGRATIONS = {
+    1: removeNameFromKeywords,
+};
+
+const MANIFEST_MIGRATIONS = {
+    1: manifest => ({ ...manifest, emojis: (manifest.emojis || []).map(removeNameFromKeywords) }),
+};
+
+/**
+ * Upgrade a value to the current version of its schema
+ * @param {Object} value
+ * @param {number} version Version the value was written with
+ * @param {number} currentVersion
+ * @param {Object<number, (value: Object) => Object>} migrations
+ * @param {string} description What the value is, for the error message
+ * @returns {Object}
+ */
+function runMigrations(value, version, currentVersion, migrations, description) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`${description} has an invalid schema version: ${version}`);
+    }
+    if (version > currentVersion) {
+        throw new Error(`${description} was created by a newer version of the extension (schema ${version})`);
+    }
+    let migrated = value;
+    for (let from = version; from < currentVersion; from++) {
+        migrated = migrations[from](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Upgrade a stored emoji, or an emoji from the server manifest, to the current schema
+ * @param {Object} record
+ * @returns {StoredEmoji}
+ */
+export function migrateEmoji(record) {
+    const migrated = runMigrations(record, record.schemaVersion ?? 1, EMOJI_SCHEMA_VERSION, EMOJI_MIGRATIONS, `Emoji "${record.id}"`);
+    return { ...migrated, schemaVersion: EMOJI_SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade the manifest of a ZIP export to the current schema
+ * @param {Object} manifest
+ * @returns {Object}
+ */
+export function migrateExportManifest(manifest) {
+    const migrated = runMigrations(manifest, manifest.schemaVersion ?? 1, MANIFEST_SCHEMA_VERSION, MANIFEST_MIGRATIONS, 'This archive');
+    return { ...migrated, schemaVersion: MANIFEST_SCHEMA_VERSION };
+}
+
+/**
+ * @param {any} id
+ * @returns {string|null} Error message, or null if the ID is valid
+ */
+export function getEmojiIdError(id) {
+    if (typeof id !== 'string' || !id) {
+        return 'Emoji ID is missing';
+    }
+    if (!EMOJI_ID_PATTERN.test(id)) {
+        return 'Emoji ID can only contain letters, numbers, underscores, and hyphens';
+    }
+    if (id.length > MAX_ID_LENGTH) {
+        return `Emoji ID can be at most ${MAX_ID_LENGTH} characters long`;
+    }
+    return null;
+}
+
+/**
+ * Check an image URL. HTTP(S) URLs, data URLs of allowed image types and files in
+ * the user's folder on the SillyTavern server are accepted.
+ * @param {any} url
+ * @returns {string|null} Error message, or null if the URL is valid
+ */
+export function getImageUrlError(url) {
+    if (typeof url !== 'string' || !url.trim()) {
+        return 'Image URL is missing';
+    }
+    const dataURL = url.match(/^data:([^;,]*)[;,]/i);
+    if (dataURL) {
+        return isAllowedImageType(dataURL[1].toLowerCase()) ? null : 'Only PNG, JPEG, GIF, and WebP images are allowed';
+    }
+    if (/^https?:\/\/[^\s/$.?#][^\s]*$/i.test(url)) {
+        return null;
+    }
+    if (SERVER_FILE_PATTERN.test(url) && !url.split('/').includes('..')) {
+        return null;
+    }
+    // Anything else, such as blob: or javascript: URLs and other paths, cannot be stored
+    return 'Image URL must use HTTP, HTTPS or a data URL';
+}
+
+/**
+ * Check an emoji against the current schema
+ * @param {Object} record Emoji in the current schema
+ * @returns {string[]} Every problem found, empty if the emoji is valid
+ */
+export function getEmojiErrors(record) {
+    const errors = [];
+    const idError = getEmojiIdError(record.id);
+    if (idError) {
+        errors.push(idError);
+    }
+    if (typeof record.name !== 'string' || !record.name.trim()) {
+        errors.push('Name is missing');
+    }
+    if (!Array.isArray(record.keywords) || record.keywords.some(keyword => typeof keyword !== 'string')) {
+        errors.push('Keywords must be a list of strings');
+    }
+    if (typeof record.pack !== 'string' || !record.pack) {
+        errors.push('Pack is missing');
+    }
+    if (record.blob !== undefined) {
+        if (!(record.blob instanceof Blob)) {
+            errors.push('Image data is invalid');
+        } else if (!isAllowedImageType(record.blob.type)) {
+            errors.push('Only PNG, JPEG, GIF, and WebP images are allowed');
+        }
+    } else {
+        const urlError = getImageUrlError(record.url);
+        if (urlError) {
+            errors.push(urlError);
+        }
+    }
+    for (const key of ['added', 'order']) {
+        if (record[key] !== undefined && !Number.isFinite(record[key])) {
+            errors.push(`"${key}" must be a number`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Split emojis into valid ones and the problems of the others
+ * @param {Object[]} records Emojis in the current schema
+ * @returns {{valid: Object[], invalid: {id: any, errors: string[]}[]}}
+ */
+export function partitionValidEmojis(records) {
+    const valid = [];
+    const invalid = [];
+    for (const record of records) {
+        const errors = getEmojiErrors(record);
+        if (errors.length === 0) {
+            valid.push(record);
+        } else {
+            invalid.push({ id: record.id, errors });
+        }
+    }
+    return { valid, invalid };
+}
+
+/**
+ * Describe invalid emojis, one line per emoji
+ * @param {{id: any, errors: string[]}[]} invalid
+ * @returns {string}
+ */
+export function formatEmojiErrors(invalid) {
+    return invalid.map(({ id, errors }) => `${typeof id === 'string' && id ? id : '(no ID)'}: ${errors.join(', ')}`).join('\n');
+}
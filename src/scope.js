@@ -0,0 +1,123 @@
+// Binding of emoji packs to SillyTavern characters, groups and chats.
+// A pack without a scope (or with the `global` type) is available everywhere.
+
+import { getContext } from './context';
+
+export const SCOPE_TYPES = Object.freeze({
+    GLOBAL: 'global',
+    CHARACTER: 'character',
+    GROUP: 'group',
+    CHAT: 'chat',
+});
+
+/**
+ * Get identifiers of the active conversation.
+ * Characters are identified by their avatar file name, which stays stable across renames.
+ * @returns {{character?: string, group?: string, chat?: string}}
+ */
+export function getActiveScope() {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters[context.characterId] : undefined;
+    return {
+        character: context.groupId ? undefined : character?.avatar,
+        group: context.groupId || undefined,
+        chat: context.getCurrentChatId?.() || undefined,
+    };
+}
+
+/**
+ * Check whether a pack should be offered in the active conversation
+ * @param {{scope?: {type: string, target: string}}} pack
+ * @param {{character?: string, group?: string, chat?: string}} activeScope
+ * @returns {boolean}
+ */
+export function isPackInScope(pack, activeScope) {
+    const { type, target } = pack.scope || {};
+    switch (type) {
+        case SCOPE_TYPES.CHARACTER:
+            return target === activeScope.character;
+        case SCOPE_TYPES.GROUP:
+            return target === activeScope.group;
+        case SCOPE_TYPES.CHAT:
+            return target === activeScope.chat;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Serialize a scope for use as a form value
+ * @param {{type: string, target?: string}} [scope]
+ * @returns {string}
+ */
+export function encodeScope(scope) {
+    if (!scope || scope.type === SCOPE_TYPES.GLOBAL) {
+        return SCOPE_TYPES.GLOBAL;
+    }
+    return `${scope.type}:${scope.target}`;
+}
+
+/**
+ * Parse a scope produced by `encodeScope`
+ * @param {string} value
+ * @returns {{type: string, target?: string}}
+ */
+export function decodeScope(value) {
+    const separator = value.indexOf(':');
+    if (separator === -1) {
+        return { type: SCOPE_TYPES.GLOBAL };
+    }
+    return { type: value.slice(0, separator), target: value.slice(separator + 1) };
+}
+
+/**
+ * Get a human readable description of a scope
+ * @param {{type: string, target?: string}} [scope]
+ * @returns {string}
+ */
+export function describeScope(scope) {
+    const context = getContext();
+    switch (scope?.type) {
+        case SCOPE_TYPES.CHARACTER: {
+            const character = context.characters.find(c => c.avatar === scope.target);
+            return `Character: ${character?.name ?? scope.target}`;
+        }
+        case SCOPE_TYPES.GROUP: {
+            const group = context.groups?.find(g => g.id === scope.target);
+            return `Group: ${group?.name ?? scope.target}`;
+        }
+        case SCOPE_TYPES.CHAT:
+            return `Chat: ${scope.target}`;
+        default:
+            return 'Global';
+    }
+}
+
+/**
+ * Get the scopes a pack can be bound to right now: global, the active
+ * character or group, the active chat and the pack's current binding.
+ * @param {{scope?: {type: string, target: string}}} pack
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getScopeOptions(pack) {
+    const activeScope = getActiveScope();
+    const scopes = [{ type: SCOPE_TYPES.GLOBAL }];
+    if (activeScope.character) {
+        scopes.push({ type: SCOPE_TYPES.CHARACTER, target: activeScope.character });
+    }
+    if (activeScope.group) {
+        scopes.push({ type: SCOPE_TYPES.GROUP, target: activeScope.group });
+    }
+    if (activeScope.chat) {
+        scopes.push({ type: SCOPE_TYPES.CHAT, target: activeScope.chat });
+    }
+    if (pack.scope) {
+        scopes.push(pack.scope);
+    }
+
+    const options = new Map();
+    for (const scope of scopes) {
+        options.set(encodeScope(scope), describeScope(scope));
+    }
+    return Array.from(options, ([value, label]) => ({ value, label }));
+}
@@ -0,0 +1,307 @@
+// Keeps a copy of the emoji library in the user's files on the SillyTavern server,
+// so it follows the user across browsers and machines. Images are uploaded once and
+// then referenced by their server path; a JSON manifest lists the packs and emojis.
+// Only three server endpoints are used, so the mock server in test/ stands in for testing.
+
+import { loadEmojis, saveEmojis, updateLibrary, loadPacks, savePacks, removePack, loadTrash, DEFAULT_PACK_ID } from './storage';
+import { findEmojiConflicts, resolveEmojiConflicts } from './duplicates';
+import { blobToDataURL, getExtensionFromType, hashImage } from './images';
+import { migrateEmoji, partitionValidEmojis, formatEmojiErrors } from './schema';
+import { omit } from './utils';
+import { getContext } from './context';
+
+const MANIFEST_FILE = 'custom-emoji-picker.json';
+const FILE_PREFIX = 'custom-emoji-';
+const MANIFEST_VERSION = 1;
+const PUSH_DELAY = 1000;
+
+const ENDPOINTS = Object.freeze({
+    upload: '/api/files/upload',
+    delete: '/api/files/delete',
+    files: '/user/files/',
+});
+
+/**
+ * @typedef {Object} ServerManifest
+ * @property {number} version
+ * @property {number} updated Time of the last upload
+ * @property {Array} packs
+ * @property {Array} emojis Emojis without image data. `url` is a server path or a remote URL.
+ * @property {Array} skipped Entries this version cannot load, because they are invalid or written by a newer version.
+ * They are written back unchanged, so other clients keep them.
+ */
+
+/** @type {ServerManifest|null} Manifest as last read or written */
+let lastManifest = null;
+let pushTimeout = null;
+// Syncs run one after another so two pushes never upload the same images
+let queue = Promise.resolve();
+
+/**
+ * Run a sync step after the ones already started
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * @param {string} url
+ * @param {Object} body
+ * @returns {Promise<Response>}
+ */
+async function postJSON(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: getContext().getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        throw new Error(`${url} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+/**
+ * Upload a file to the user's files
+ * @param {string} name File name, letters, digits, `_`, `-` and `.` only
+ * @param {Blob} blob
+ * @returns {Promise<string>} Server path of the file
+ */
+async function uploadFile(name, blob) {
+    const dataURL = await blobToDataURL(blob);
+    const response = await postJSON(ENDPOINTS.upload, { name, data: dataURL.slice(dataURL.indexOf(',') + 1) });
+    const { path } = await response.json();
+    return path;
+}
+
+/**
+ * Remove an uploaded file. Files that are already gone are ignored.
+ * @param {string} path
+ */
+async function deleteFile(path) {
+    try {
+        await postJSON(ENDPOINTS.delete, { path });
+    } catch (error) {
+        console.warn('Emoji Picker: could not delete a file on the server', path, error);
+    }
+}
+
+/**
+ * Whether a URL points to an image uploaded by this extension
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+function isUploadedImage(url) {
+    return typeof url === 'string' && url.replace(/^\//, '').startsWith(`${ENDPOINTS.files.slice(1)}${FILE_PREFIX}`);
+}
+
+/**
+ * Load the manifest from the server
+ * @returns {Promise<ServerManifest|null>} The manifest with its emojis in the current schema, or null if the library was never uploaded
+ */
+async function loadManifest() {
+    const response = await fetch(`${ENDPOINTS.files}${MANIFEST_FILE}`, { cache: 'no-store' });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Loading the emoji manifest failed: ${response.status} ${response.statusText}`);
+    }
+    const manifest = await response.json();
+    if (!Array.isArray(manifest?.emojis) || !Array.isArray(manifest?.packs)) {
+        throw new Error('The emoji manifest on the server is invalid');
+    }
+
+    // A single broken entry, or one written by a newer version, does not stop the sync
+    const invalid = [];
+    const migrated = manifest.emojis.map((entry) => {
+        try {
+            return migrateEmoji(entry);
+        } catch (error) {
+            invalid.push({ id: entry?.id, errors: [error.message] });
+            return null;
+        }
+    });
+    const partition = partitionValidEmojis(migrated.filter(Boolean));
+    invalid.push(...partition.invalid);
+    if (invalid.length > 0) {
+        console.warn(`Emoji Picker: skipped invalid emojis in the server manifest:\n${formatEmojiErrors(invalid)}`);
+    }
+    const valid = new Set(partition.valid);
+    const skipped = manifest.emojis.filter((entry, index) => !valid.has(migrated[index]));
+    return { ...manifest, emojis: partition.valid, skipped };
+}
+
+/**
+ * Get every emoji entry of a manifest, including the ones this version could not load
+ * @param {ServerManifest} manifest
+ * @returns {Array}
+ */
+function getManifestEntries(manifest) {
+    return [...manifest.emojis, ...manifest.skipped];
+}
+
+/**
+ * Write a manifest as it is stored on the server
+ * @param {ServerManifest} manifest
+ * @returns {string}
+ */
+function serializeManifest(manifest) {
+    return JSON.stringify({ ...omit(manifest, ['skipped']), emojis: getManifestEntries(manifest) });
+}
+
+/**
+ * Strip local-only fields from an emoji or pack
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function toManifestEntry(entry) {
+    return omit(entry, ['blob', 'src', 'skins', 'synced']);
+}
+
+/**
+ * Upload the image of an emoji that is only stored in this browser
+ * @param {Object} emoji
+ * @returns {Promise<Object>} The emoji, referencing the uploaded image
+ */
+async function uploadEmojiImage(emoji) {
+    const hash = emoji.hash ?? await hashImage(emoji.blob);
+    // Identical images of the same emoji get the same file name
+    const safeId = emoji.id.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const name = `${FILE_PREFIX}${safeId}-${hash.replace(/[^0-9a-f]/g, '').slice(-12)}.${getExtensionFromType(emoji.blob.type)}`;
+    const url = await uploadFile(name, emoji.blob);
+    return { ...omit(emoji, ['blob']), url, hash };
+}
+
+/**
+ * Upload new images and the manifest, then delete images nobody references anymore
+ * @returns {Promise<void>}
+ */
+async function push() {
+    const emojis = [];
+    const changedEmojis = [];
+    for (const emoji of await loadEmojis()) {
+        const pushed = emoji.blob ? await uploadEmojiImage(emoji) : emoji;
+        emojis.push(pushed);
+        if (pushed !== emoji || !emoji.synced) {
+            changedEmojis.push({ ...pushed, synced: true });
+        }
+    }
+    const packs = await loadPacks();
+
+    // Entries this version cannot load stay on the server, unless a local emoji replaces them
+    const localIds = new Set(emojis.map(emoji => emoji.id));
+    const manifest = {
+        version: MANIFEST_VERSION,
+        updated: Date.now(),
+        packs: packs.map(toManifestEntry),
+        emojis: emojis.map(toManifestEntry),
+        skipped: (lastManifest?.skipped ?? []).filter(entry => !localIds.has(entry?.id)),
+    };
+    const isUnchanged = lastManifest
+        && serializeManifest({ ...lastManifest, updated: 0 }) === serializeManifest({ ...manifest, updated: 0 });
+    if (!isUnchanged) {
+        const json = new Blob([serializeManifest(manifest)], { type: 'application/json' });
+        await uploadFile(MANIFEST_FILE, json);
+    }
+
+    // Emojis in the trash keep their images until they are deleted for good
+    const trashedImages = (await loadTrash()).map(entry => entry.url);
+    const usedImages = new Set([...getManifestEntries(manifest).map(emoji => emoji?.url), ...trashedImages]);
+    const unusedImages = (lastManifest ? getManifestEntries(lastManifest) : [])
+        .map(emoji => emoji?.url)
+        .filter(url => isUploadedImage(url) && !usedImages.has(url));
+    lastManifest = manifest;
+    await Promise.all([...new Set(unusedImages)].map(deleteFile));
+
+    await saveEmojis(changedEmojis);
+    await savePacks(packs.filter(pack => !pack.synced).map(pack => ({ ...pack, synced: true })));
+}
+
+/**
+ * Merge the library on the server with this browser's library and upload the result.
+ * Emojis that were synced before follow the server, so removals on other machines apply here.
+ * Emojis that were only stored in this browser are added to the server; collisions with
+ * server emojis are resolved by the user.
+ * @param {Object} options
+ * @param {(items: Array, conflicts: import('./duplicates').EmojiConflict[]) => Promise<Map<number, string>|null>} options.resolveConflicts
+ * Lets the user choose actions for conflicting emojis. Returns null to cancel the sync.
+ * @returns {Promise<boolean>} Whether the library was synced
+ */
+export function syncServerLibrary({ resolveConflicts }) {
+    return enqueue(async () => {
+        const manifest = await loadManifest();
+        if (manifest) {
+            const localEmojis = await loadEmojis();
+            const unsyncedEmojis = localEmojis.filter(emoji => !emoji.synced);
+            const items = unsyncedEmojis.map(emoji => ({ id: emoji.id, name: emoji.name, source: emoji.blob ?? emoji.url }));
+            const conflicts = await findEmojiConflicts(items, manifest.emojis);
+            const actions = conflicts.length > 0 ? await resolveConflicts(items, conflicts) : new Map();
+            if (!actions) {
+                return false;
+            }
+
+            const { records } = resolveEmojiConflicts(unsyncedEmojis, conflicts, actions, manifest.emojis);
+            const merged = new Map(manifest.emojis.map(emoji => [emoji.id, { ...emoji, synced: true }]));
+            records.forEach(record => merged.set(record.id, { ...record, synced: false }));
+            // Local emojis that are missing from the merged library, or replaced by the server
+            // copy, go to the trash, so a bad manifest or a wrong choice can be undone.
+            // Local copies of skipped server emojis are kept and replace them on the server.
+            const skippedIds = new Set(manifest.skipped.map(entry => entry?.id));
+            const trashedIds = localEmojis
+                .filter(emoji => !skippedIds.has(emoji.id))
+                .filter(emoji => !merged.has(emoji.id) || (!emoji.synced && merged.get(emoji.id).synced))
+                .map(emoji => emoji.id);
+            await updateLibrary({ save: [...merged.values()], trash: trashedIds });
+
+            const serverPackIds = new Set(manifest.packs.map(pack => pack.id));
+            for (const pack of await loadPacks()) {
+                if (pack.synced && !serverPackIds.has(pack.id) && pack.id !== DEFAULT_PACK_ID) {
+                    await removePack(pack.id);
+                }
+            }
+            await savePacks(manifest.packs.map(pack => ({ ...pack, synced: true })));
+            lastManifest = manifest;
+        }
+
+        await push();
+        return true;
+    });
+}
+
+/**
+ * Delete the uploaded images of emojis that were deleted from the trash for good.
+ * Images still used by the library, the trash or the manifest on the server are kept.
+ * @param {Array} entries Deleted trash entries
+ * @returns {Promise<void>}
+ */
+export function deleteUnusedImages(entries) {
+    const urls = new Set(entries.map(entry => entry.url).filter(isUploadedImage));
+    if (urls.size === 0) {
+        return Promise.resolve();
+    }
+    return enqueue(async () => {
+        const manifest = lastManifest ?? await loadManifest();
+        const usedImages = new Set([
+            ...(await loadEmojis()).map(emoji => emoji.url),
+            ...(await loadTrash()).map(entry => entry.url),
+            ...(manifest ? getManifestEntries(manifest).map(emoji => emoji?.url) : []),
+        ]);
+        await Promise.all([...urls].filter(url => !usedImages.has(url)).map(deleteFile));
+    });
+}
+
+/**
+ * Upload the library shortly after it was changed. Bursts of changes are uploaded once.
+ */
+export function scheduleServerPush() {
+    clearTimeout(pushTimeout);
+    pushTimeout = setTimeout(() => {
+        enqueue(push).catch(error => console.error('Error uploading emojis to the server:', error));
+    }, PUSH_DELAY);
+}
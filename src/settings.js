@@ -0,0 +1,62 @@
+// Extension settings, stored in SillyTavern's extension_settings.
+
+import { getContext } from './context';
+
+const MODULE_NAME = 'emojiPicker';
+
+export const INSERT_FORMATS = Object.freeze({
+    SHORTCODE: 'shortcode',
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+    NAME: 'name',
+});
+
+export const DEFAULT_SETTINGS = Object.freeze({
+    insertFormat: INSERT_FORMATS.SHORTCODE,
+    imageSize: 32,
+    closeOnSelect: true,
+    showManagerButton: true,
+    pickerHotkey: 'Ctrl+Shift+Period',
+    serverSync: false,
+    trashRetentionDays: 30,
+    cacheRemoteImages: false,
+    perLine: 9,
+    emojiSize: 24,
+    previewPosition: 'none',
+    skinTonePosition: 'search',
+    theme: 'auto',
+    promptEnabled: false,
+    promptTemplate: 'You can use these custom emojis in your replies by writing their shortcode: {{emojis}}',
+    promptKeywords: false,
+    promptPosition: 'in_chat',
+    promptDepth: 4,
+    promptMaxCount: 50,
+});
+
+/**
+ * Get the extension settings, filling in defaults for missing values
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export function getSettings() {
+    const { extensionSettings } = getContext();
+    extensionSettings[MODULE_NAME] = { ...DEFAULT_SETTINGS, ...extensionSettings[MODULE_NAME] };
+    return extensionSettings[MODULE_NAME];
+}
+
+/**
+ * Get the settings passed to emoji-mart
+ * @returns {{perLine: number, emojiSize: number, previewPosition: string, skinTonePosition: string, theme: string}}
+ */
+export function getPickerSettings() {
+    const { perLine, emojiSize, previewPosition, skinTonePosition, theme } = getSettings();
+    return { perLine, emojiSize, previewPosition, skinTonePosition, theme };
+}
+
+/**
+ * Change settings and save them
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+ */
+export function updateSettings(changes) {
+    Object.assign(getSettings(), changes);
+    getContext().saveSettingsDebounced();
+}
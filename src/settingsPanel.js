@@ -0,0 +1,229 @@
+// Settings drawer in SillyTavern's Extensions panel.
+
+import { getSettings, updateSettings, INSERT_FORMATS } from './settings';
+import { formatHotkey, normalizeHotkey } from './hotkeys';
+import { notifyWarning } from './notifications';
+
+/**
+ * Read the value of a settings input
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} input
+ * @returns {any} The value, or undefined if the input is not valid
+ */
+function getInputValue(input) {
+    if (input.type === 'checkbox') {
+        return input.checked;
+    }
+    if (input.type === 'number') {
+        const value = Number(input.value);
+        if (input.value === '' || !Number.isFinite(value)) {
+            return undefined;
+        }
+        return Math.min(Number(input.max || Infinity), Math.max(Number(input.min || -Infinity), value));
+    }
+    return input.value;
+}
+
+/**
+ * Add the settings drawer to the Extensions panel.
+ * Inputs with a `data-setting` attribute are bound to the setting of that name.
+ * @param {Object} options
+ * @param {(changes: Object) => void} options.onChange Called after settings were changed
+ * @param {() => void} options.onOpenManager Opens the Custom Emoji Manager
+ * @param {() => void} options.onSyncNow Syncs the library with the server
+ */
+export function createSettingsPanel({ onChange, onOpenManager, onSyncNow }) {
+    const container = document.getElementById('extensions_settings2') ?? document.getElementById('extensions_settings');
+    if (!container) {
+        console.warn('Emoji Picker: the extensions settings panel was not found');
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.id = 'emojiPickerSettings';
+    panel.innerHTML = `
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Emoji Picker</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <div class="emojiSettingsRow">
+                    <input type="button" id="emojiSettingsOpenManager" class="menu_button" value="Open Custom Emoji Manager">
+                </div>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="showManagerButton">
+                    Show the manager button next to the message input
+                </label>
+                <label for="emojiPickerHotkey">Shortcut to open the picker from the message input</label>
+                <input type="text" id="emojiPickerHotkey" class="text_pole" data-setting="pickerHotkey" placeholder="Disabled" autocomplete="off">
+                <small>Focus the field and press a key combination. Backspace disables the shortcut.</small>
+
+                <h4>Server Sync</h4>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="serverSync">
+                    Keep the emoji library in my SillyTavern user files
+                </label>
+                <small>Images and a manifest are saved on the server, so the library is shared by every browser you use. Emojis added in this browser are uploaded, and conflicts with the server copy are shown before anything is changed.</small>
+                <div class="emojiSettingsRow">
+                    <input type="button" id="emojiSettingsSyncNow" class="menu_button" value="Sync now">
+                </div>
+
+                <h4>Trash</h4>
+                <div class="emojiSettingsRow">
+                    <label>
+                        Days to keep removed emojis
+                        <input type="number" class="text_pole" min="1" max="365" step="1" data-setting="trashRetentionDays">
+                    </label>
+                </div>
+                <small>Removed emojis can be restored from the trash in the manager until they are deleted for good.</small>
+
+                <h4>Linked Images</h4>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="cacheRemoteImages">
+                    Save a copy of images added by URL
+                </label>
+                <small>Copies keep working when the site is down, and showing them does not contact the site. Some sites do not allow downloads; link to their images instead. The manager can check links and make existing emojis local.</small>
+
+                <h4>Inserting</h4>
+                <div class="emojiSettingsRow">
+                    <label>
+                        Custom emoji format
+                        <select class="text_pole" data-setting="insertFormat">
+                            <option value="${INSERT_FORMATS.SHORTCODE}">Shortcode (:emoji_id:)</option>
+                            <option value="${INSERT_FORMATS.MARKDOWN}">Markdown image</option>
+                            <option value="${INSERT_FORMATS.HTML}">HTML image</option>
+                            <option value="${INSERT_FORMATS.NAME}">Name only</option>
+                        </select>
+                    </label>
+                    <label>
+                        HTML image size (px)
+                        <input type="number" class="text_pole" min="8" max="512" step="1" data-setting="imageSize">
+                    </label>
+                </div>
+                <small>Image formats embed uploaded emojis as data URLs, which makes messages larger. Shortcodes stay short and follow later changes to the emoji.</small>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="closeOnSelect">
+                    Close the picker after selecting an emoji
+                </label>
+
+                <h4>Picker</h4>
+                <div class="emojiSettingsRow">
+                    <label>
+                        Emojis per row
+                        <input type="number" class="text_pole" min="4" max="20" step="1" data-setting="perLine">
+                    </label>
+                    <label>
+                        Emoji size (px)
+                        <input type="number" class="text_pole" min="12" max="64" step="1" data-setting="emojiSize">
+                    </label>
+                </div>
+                <div class="emojiSettingsRow">
+                    <label>
+                        Preview
+                        <select class="text_pole" data-setting="previewPosition">
+                            <option value="none">Hidden</option>
+                            <option value="top">Top</option>
+                            <option value="bottom">Bottom</option>
+                        </select>
+                    </label>
+                    <label>
+                        Skin tone selector
+                        <select class="text_pole" data-setting="skinTonePosition">
+                            <option value="search">Next to search</option>
+                            <option value="preview">In the preview</option>
+                            <option value="none">Hidden</option>
+                        </select>
+                    </label>
+                    <label>
+                        Theme
+                        <select class="text_pole" data-setting="theme">
+                            <option value="auto">Auto</option>
+                            <option value="light">Light</option>
+                            <option value="dark">Dark</option>
+                        </select>
+                    </label>
+                </div>
+
+                <h4>AI Prompt</h4>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="promptEnabled">
+                    Tell the AI which custom emojis it can use
+                </label>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-setting="promptKeywords">
+                    Include keywords
+                </label>
+                <label for="emojiPromptTemplate">Prompt template</label>
+                <textarea id="emojiPromptTemplate" class="text_pole textarea_compact" rows="3" data-setting="promptTemplate"></textarea>
+                <small><code>{{emojis}}</code> is replaced with the shortcodes of the custom emojis available in the current chat.</small>
+                <div class="emojiSettingsRow">
+                    <label>
+                        Position
+                        <select class="text_pole" data-setting="promptPosition">
+                            <option value="in_prompt">After the main prompt</option>
+                            <option value="in_chat">In chat at depth</option>
+                            <option value="before_prompt">Before the main prompt</option>
+                        </select>
+                    </label>
+                    <label>
+                        Depth
+                        <input type="number" class="text_pole" min="0" max="999" step="1" data-setting="promptDepth">
+                    </label>
+                    <label>
+                        Maximum emojis
+                        <input type="number" class="text_pole" min="1" max="1000" step="1" data-setting="promptMaxCount">
+                    </label>
+                </div>
+            </div>
+        </div>
+    `;
+    container.appendChild(panel);
+
+    panel.querySelector('#emojiSettingsOpenManager').addEventListener('click', onOpenManager);
+    panel.querySelector('#emojiSettingsSyncNow').addEventListener('click', onSyncNow);
+
+    // The shortcut field records key combinations instead of text
+    const hotkeyInput = panel.querySelector('#emojiPickerHotkey');
+    hotkeyInput.addEventListener('keydown', (e) => {
+        const hotkey = formatHotkey(e);
+        if (hotkey === null || ['Tab', 'Shift+Tab', 'Escape'].includes(hotkey)) {
+            return;
+        }
+        e.preventDefault();
+        // Only keys that a saved shortcut can name are recorded
+        if (normalizeHotkey(hotkey) === null) {
+            notifyWarning(`The ${e.code} key cannot be used in the shortcut.`);
+            return;
+        }
+        hotkeyInput.value = hotkey === 'Backspace' || hotkey === 'Delete' ? '' : hotkey;
+        hotkeyInput.dispatchEvent(new Event('change'));
+    });
+    hotkeyInput.addEventListener('change', () => {
+        const hotkey = normalizeHotkey(hotkeyInput.value);
+        if (hotkey === null) {
+            notifyWarning(`"${hotkeyInput.value}" is not a key combination that can be pressed. Press the keys in the field instead.`);
+            hotkeyInput.value = getSettings().pickerHotkey;
+            return;
+        }
+        hotkeyInput.value = hotkey;
+    });
+
+    const settings = getSettings();
+    panel.querySelectorAll('[data-setting]').forEach(input => {
+        const key = input.dataset.setting;
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(settings[key]);
+        } else {
+            input.value = String(settings[key]);
+        }
+
+        input.addEventListener(input.tagName === 'TEXTAREA' ? 'input' : 'change', () => {
+            const value = getInputValue(input);
+            if (value === undefined) {
+                return;
+            }
+            updateSettings({ [key]: value });
+            onChange({ [key]: value });
+        });
+    });
+}
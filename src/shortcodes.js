@@ -0,0 +1,116 @@
+// Rendering of `:shortcode:` tokens for custom emojis in chat messages.
+// Only the displayed DOM is changed; the stored message text keeps the short token.
+
+const SHORTCODE_PATTERN = /:([a-zA-Z0-9_-]+)(?=:)/g;
+const SKIPPED_TAGS = new Set(['CODE', 'PRE', 'SCRIPT', 'STYLE', 'TEXTAREA']);
+const EMOJI_CLASS = 'customEmojiShortcode';
+
+/**
+ * Format a custom emoji ID as a shortcode token
+ * @param {string} id
+ * @returns {string}
+ */
+export function toShortcode(id) {
+    return `:${id}:`;
+}
+
+/**
+ * Replace references to a custom emoji ID in message text.
+ * Handles both shortcodes and markdown images inserted by older versions.
+ * @param {string} text
+ * @param {string} oldId
+ * @param {string} newId
+ * @returns {string}
+ */
+export function replaceEmojiReferences(text, oldId, newId) {
+    const escapedId = oldId.replace(/[-\\^$*+?.()|[\]{}]/g, '\\$&');
+    return text
+        .replace(new RegExp(`:${escapedId}:`, 'g'), toShortcode(newId))
+        .replace(new RegExp(`!\\[${escapedId}\\]\\(`, 'g'), `![${newId}](`);
+}
+
+/**
+ * Create the image element shown in place of a shortcode
+ * @param {{id: string, name: string, src: string}} emoji
+ * @returns {HTMLImageElement}
+ */
+function createEmojiImage(emoji) {
+    const img = document.createElement('img');
+    img.className = EMOJI_CLASS;
+    img.src = emoji.src;
+    img.alt = toShortcode(emoji.id);
+    img.title = emoji.name;
+    img.dataset.emojiId = emoji.id;
+    img.draggable = false;
+    return img;
+}
+
+/**
+ * Collect text nodes that may contain shortcodes
+ * @param {Element} root
+ * @returns {Text[]}
+ */
+function collectTextNodes(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (!node.nodeValue.includes(':')) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            for (let parent = node.parentElement; parent && parent !== root; parent = parent.parentElement) {
+                if (SKIPPED_TAGS.has(parent.tagName)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        },
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+    return nodes;
+}
+
+/**
+ * Replace known shortcodes inside an element with emoji images.
+ * Images of emojis that no longer exist are turned back into text.
+ * @param {Element} root
+ * @param {(id: string) => Object|undefined} lookup Returns the custom emoji for an ID
+ */
+export function renderShortcodes(root, lookup) {
+    for (const img of root.querySelectorAll(`img.${EMOJI_CLASS}`)) {
+        const emoji = lookup(img.dataset.emojiId);
+        if (!emoji) {
+            img.replaceWith(document.createTextNode(img.alt));
+        } else if (img.getAttribute('src') !== emoji.src) {
+            img.src = emoji.src;
+        }
+    }
+    root.normalize();
+
+    for (const node of collectTextNodes(root)) {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+
+        // The closing colon is matched by lookahead so that an unknown token
+        // does not swallow the opening colon of the next one.
+        const pattern = new RegExp(SHORTCODE_PATTERN);
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const emoji = lookup(match[1]);
+            if (!emoji) {
+                continue;
+            }
+            fragment.append(text.slice(lastIndex, match.index), createEmojiImage(emoji));
+            lastIndex = match.index + match[0].length + 1;
+            pattern.lastIndex = lastIndex;
+        }
+
+        if (lastIndex > 0) {
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        }
+    }
+}
@@ -0,0 +1,610 @@
+// IndexedDB-backed storage for custom emojis.
+// Image bytes are kept as Blobs; remote emojis keep their URL instead.
+
+import { createUniqueId } from './duplicates';
+import { hashImage } from './images';
+import { migrateEmoji, partitionValidEmojis, formatEmojiErrors, EMOJI_SCHEMA_VERSION } from './schema';
+import { EmojiPickerError, ERROR_CODES } from './errors';
+import { omit } from './utils';
+
+const DB_NAME = 'SillyTavern-CustomEmojiPicker';
+const DB_VERSION = 6;
+const EMOJI_STORE = 'emojis';
+const PACK_STORE = 'packs';
+const STATE_STORE = 'state';
+const TRASH_STORE = 'trash';
+const LEGACY_STORAGE_KEY = 'custom_emojis';
+
+export const DEFAULT_PACK_ID = 'default';
+
+/**
+ * Pack that holds emojis without an explicit pack. It cannot be deleted.
+ */
+const DEFAULT_PACK = Object.freeze({
+    id: DEFAULT_PACK_ID,
+    name: 'Custom',
+    icon: '⭐',
+    order: 0,
+});
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * In-memory copy of the stored emojis, keyed by ID.
+ * Populated on first load and kept in sync by every write.
+ * @type {Map<string, Object>|null}
+ */
+let cache = null;
+
+/**
+ * In-memory copy of the stored packs, keyed by ID.
+ * @type {Map<string, Object>|null}
+ */
+let packCache = null;
+
+/**
+ * Wrap an IDBRequest into a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and upgrade if needed) the emoji database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(EMOJI_STORE)) {
+                    db.createObjectStore(EMOJI_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PACK_STORE)) {
+                    db.createObjectStore(PACK_STORE, { keyPath: 'id' }).put({ ...DEFAULT_PACK });
+                }
+                if (!db.objectStoreNames.contains(STATE_STORE)) {
+                    db.createObjectStore(STATE_STORE);
+                }
+                if (!db.objectStoreNames.contains(TRASH_STORE)) {
+                    createTrashStore(db);
+                } else if (event.oldVersion < 6) {
+                    rekeyTrash(db, request.transaction);
+                }
+                if (event.oldVersion > 0) {
+                    upgradeRecords(request.transaction.objectStore(EMOJI_STORE));
+                    if (event.oldVersion >= 6) {
+                        upgradeRecords(request.transaction.objectStore(TRASH_STORE));
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Emoji database is blocked by another tab'));
+        });
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Create the trash. Entries get their own key, so an emoji ID can be in the trash several times.
+ * @param {IDBDatabase} db Database in an upgrade transaction
+ * @returns {IDBObjectStore}
+ */
+function createTrashStore(db) {
+    return db.createObjectStore(TRASH_STORE, { keyPath: 'trashId', autoIncrement: true });
+}
+
+/**
+ * Move the trash of versions that stored entries by emoji ID into a trash with its own keys,
+ * upgrading the entries on the way
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction Upgrade transaction
+ */
+function rekeyTrash(db, transaction) {
+    transaction.objectStore(TRASH_STORE).getAll().onsuccess = (event) => {
+        db.deleteObjectStore(TRASH_STORE);
+        const store = createTrashStore(db);
+        for (const entry of event.target.result) {
+            try {
+                store.put(migrateEmoji({ ...entry, pack: entry.pack || DEFAULT_PACK_ID }));
+            } catch (error) {
+                console.warn('Emoji Picker: could not upgrade a stored emoji', entry.id, error);
+                store.put(entry);
+            }
+        }
+    };
+}
+
+/**
+ * Upgrade stored emojis to the current schema. Emojis stored before packs existed
+ * go to the default pack.
+ * @param {IDBObjectStore} store Emoji or trash store of an upgrade transaction
+ */
+function upgradeRecords(store) {
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            return;
+        }
+        if (cursor.value.schemaVersion !== EMOJI_SCHEMA_VERSION) {
+            try {
+                cursor.update(migrateEmoji({ ...cursor.value, pack: cursor.value.pack || DEFAULT_PACK_ID }));
+            } catch (error) {
+                // Records of a newer schema are left alone
+                console.warn('Emoji Picker: could not upgrade a stored emoji', cursor.value.id, error);
+            }
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Run a callback inside a transaction and wait for it to complete
+ * @param {string|string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(...stores: IDBObjectStore[]) => any} callback Receives the stores in the given order
+ * @returns {Promise<any>} Value returned by the callback
+ */
+async function withStore(storeNames, mode, callback) {
+    const db = await openDatabase();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(names, mode);
+        const result = callback(...names.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Convert a data URL to a Blob
+ * @param {string} dataURL
+ * @returns {Promise<Blob>}
+ */
+export async function dataURLToBlob(dataURL) {
+    const response = await fetch(dataURL);
+    return response.blob();
+}
+
+/**
+ * Build the emoji-mart compatible object for a stored record
+ * @param {Object} record Stored record
+ * @param {Object} [previous] Previously cached emoji with the same ID
+ * @returns {Object}
+ */
+function toEmoji(record, previous) {
+    if (previous?.blob && previous.src) {
+        URL.revokeObjectURL(previous.src);
+    }
+    const src = record.blob ? URL.createObjectURL(record.blob) : record.url;
+    return {
+        ...record,
+        src,
+        skins: [{ src }],
+    };
+}
+
+/**
+ * Strip runtime-only fields from an emoji and bring it into the current schema
+ * @param {Object} emoji
+ * @returns {import('./schema').StoredEmoji}
+ */
+function toRecord(emoji) {
+    const record = omit(emoji, ['src', 'skins']);
+    if (!record.pack) {
+        record.pack = DEFAULT_PACK_ID;
+    }
+    if (record.order === undefined) {
+        delete record.order;
+    }
+    return migrateEmoji(record);
+}
+
+/**
+ * Make sure that only valid emojis are stored
+ * @param {Object[]} records Records in the current schema
+ * @throws {EmojiPickerError} Listing every invalid emoji
+ */
+function assertValidRecords(records) {
+    const { invalid } = partitionValidEmojis(records);
+    if (invalid.length > 0) {
+        throw new EmojiPickerError(ERROR_CODES.INVALID_ARGUMENT, `Invalid emojis:\n${formatEmojiErrors(invalid)}`, { details: { invalid } });
+    }
+}
+
+/**
+ * Sort emojis by their saved position. Emojis that were never reordered
+ * follow in the order they were added.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareEmojis(a, b) {
+    const orderA = a.order ?? Infinity;
+    const orderB = b.order ?? Infinity;
+    if (orderA !== orderB) {
+        return orderA - orderB;
+    }
+    return (a.added ?? 0) - (b.added ?? 0);
+}
+
+/**
+ * Load all custom emojis, ordered by their position
+ * @returns {Promise<Array>}
+ */
+export async function loadEmojis() {
+    if (!cache) {
+        const records = await withStore(EMOJI_STORE, 'readonly', store => promisifyRequest(store.getAll()));
+        cache = new Map();
+        for (const record of records) {
+            cache.set(record.id, toEmoji(record));
+        }
+    }
+    return Array.from(cache.values()).sort(compareEmojis);
+}
+
+/**
+ * Get a single cached emoji by ID
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getCachedEmoji(id) {
+    return cache?.get(id);
+}
+
+/**
+ * Build a storage record for an emoji. Data URLs and files are stored as blobs.
+ * @param {string} id
+ * @param {string} name
+ * @param {string|Blob} source - Image blob, data URL or regular URL
+ * @param {Array} keywords - Search keywords besides the name
+ * @param {string} pack - Pack ID
+ * @returns {Promise<Object>}
+ */
+export async function toStoredEmoji(id, name, source, keywords, pack) {
+    const record = { schemaVersion: EMOJI_SCHEMA_VERSION, id, name, keywords, pack };
+    if (source instanceof Blob) {
+        record.blob = source;
+    } else if (source.startsWith('data:')) {
+        record.blob = await dataURLToBlob(source);
+    } else {
+        record.url = source;
+    }
+    return record;
+}
+
+/**
+ * Store the hash of an emoji's image, so duplicate checks compare hashes instead of reading every image.
+ * An image that did not change keeps its hash.
+ * @param {Object} record
+ * @param {Object} [previous] Stored emoji with the same ID
+ * @returns {Promise<Object>}
+ */
+async function withImageHash(record, previous) {
+    // Linked images are compared by URL; emojis synced through the server keep the hash of their uploaded image
+    if (!record.blob) {
+        return record;
+    }
+    if (record.hash && (!previous || previous.blob === record.blob)) {
+        return record;
+    }
+    return { ...record, hash: await hashImage(record.blob) };
+}
+
+/**
+ * Forget a cached emoji that was taken out of the library
+ * @param {string} id
+ */
+function forgetCachedEmoji(id) {
+    const previous = cache.get(id);
+    if (previous?.blob && previous.src) {
+        URL.revokeObjectURL(previous.src);
+    }
+    cache.delete(id);
+}
+
+/**
+ * Apply several changes to the library in a single transaction, so either all of them are stored or none.
+ * The position of saved emojis that already exist is kept.
+ * @param {Object} changes
+ * @param {Array} [changes.save] Emojis to save, replacing existing ones with the same IDs
+ * @param {string[]} [changes.trash] Emojis to move to the trash. A saved emoji with the same ID replaces them.
+ * @param {string[]} [changes.remove] Emojis to delete without the trash, such as the old ID of a renamed emoji
+ * @param {Array} [changes.packs] Packs to save
+ * @returns {Promise<{trashIds: number[]}>} Keys of the new trash entries, in the order of `changes.trash`
+ */
+export async function updateLibrary({ save = [], trash = [], remove = [], packs = [] }) {
+    await loadEmojis();
+    const now = Date.now();
+    const records = save.map((emoji, index) => {
+        const previous = cache.get(emoji.id);
+        return toRecord({ added: previous?.added ?? now + index, order: previous?.order, ...emoji });
+    });
+    assertValidRecords(records);
+    for (const [index, record] of records.entries()) {
+        records[index] = await withImageHash(record, cache.get(record.id));
+    }
+
+    const savedIds = new Set(records.map(record => record.id));
+    const trashEntries = trash
+        .filter(id => cache.has(id))
+        .map(id => ({ ...toRecord(cache.get(id)), deleted: now }));
+    const removedIds = remove.filter(id => !savedIds.has(id));
+    await withStore([EMOJI_STORE, TRASH_STORE, PACK_STORE], 'readwrite', (emojiStore, trashStore, packStore) => {
+        packs.forEach(pack => packStore.put(pack));
+        for (const entry of trashEntries) {
+            emojiStore.delete(entry.id);
+            trashStore.add(entry).onsuccess = (event) => {
+                entry.trashId = event.target.result;
+            };
+        }
+        removedIds.forEach(id => emojiStore.delete(id));
+        records.forEach(record => emojiStore.put(record));
+    });
+
+    packs.forEach(pack => packCache?.set(pack.id, pack));
+    trashEntries.forEach(entry => forgetCachedEmoji(entry.id));
+    removedIds.forEach(forgetCachedEmoji);
+    for (const record of records) {
+        cache.set(record.id, toEmoji(record, cache.get(record.id)));
+    }
+    return { trashIds: trashEntries.map(entry => entry.trashId) };
+}
+
+/**
+ * Save a single emoji, replacing any existing one with the same ID.
+ * The emoji must have either a `blob` or a `url`. The position of an existing emoji is kept.
+ * @param {{id: string, name: string, keywords: string[], blob?: Blob, url?: string, added?: number, order?: number}} emoji
+ * @returns {Promise<Object>} Saved emoji
+ */
+export async function saveEmoji(emoji) {
+    await updateLibrary({ save: [emoji] });
+    return cache.get(emoji.id);
+}
+
+/**
+ * Save several emojis in a single transaction
+ * @param {Array} emojis
+ * @returns {Promise<void>}
+ */
+export async function saveEmojis(emojis) {
+    await updateLibrary({ save: emojis });
+}
+
+/**
+ * Move emojis to the trash, from where they can be restored
+ * @param {string[]} ids
+ * @returns {Promise<number[]>} Keys of the trash entries
+ */
+export async function trashEmojis(ids) {
+    const { trashIds } = await updateLibrary({ trash: ids });
+    return trashIds;
+}
+
+/**
+ * Store the image hash of emojis that were saved before hashes were stored
+ * @returns {Promise<void>}
+ */
+export async function addMissingImageHashes() {
+    const emojis = (await loadEmojis()).filter(emoji => emoji.blob && !emoji.hash);
+    const hashes = [];
+    for (const emoji of emojis) {
+        hashes.push(await hashImage(emoji.blob));
+    }
+    // Emojis changed while hashing already got their hash
+    const unchanged = emojis
+        .map((emoji, index) => ({ ...emoji, hash: hashes[index] }))
+        .filter(emoji => cache.get(emoji.id)?.blob === emoji.blob && !cache.get(emoji.id).hash);
+    if (unchanged.length > 0) {
+        await saveEmojis(unchanged);
+    }
+}
+
+/**
+ * Load the emojis in the trash, most recently deleted first
+ * @returns {Promise<Array>} Stored records, with the time they were moved to the trash in `deleted`
+ * and the key of the entry in `trashId`. The same emoji ID can be in the trash more than once.
+ */
+export async function loadTrash() {
+    const entries = await withStore(TRASH_STORE, 'readonly', store => promisifyRequest(store.getAll()));
+    return entries.sort((a, b) => b.deleted - a.deleted);
+}
+
+/**
+ * Move emojis from the trash back into the library.
+ * Emojis whose ID was taken in the meantime get a new ID, and emojis of deleted packs go to the default pack.
+ * @param {number[]} trashIds Keys of the trash entries
+ * @returns {Promise<string[]>} IDs of the restored emojis, in the order of `trashIds`
+ */
+export async function restoreEmojis(trashIds) {
+    await loadEmojis();
+    const entriesByKey = new Map((await loadTrash()).map(entry => [entry.trashId, entry]));
+    const entries = trashIds.map(trashId => entriesByKey.get(trashId)).filter(Boolean);
+    const packIds = new Set((await loadPacks()).map(pack => pack.id));
+    const takenIds = new Set(cache.keys());
+
+    const records = entries.map((entry) => {
+        const record = omit(entry, ['deleted', 'synced', 'trashId']);
+        const id = takenIds.has(record.id) ? createUniqueId(record.id, takenIds) : record.id;
+        takenIds.add(id);
+        return migrateEmoji({ ...record, id, pack: packIds.has(record.pack) ? record.pack : DEFAULT_PACK_ID });
+    });
+    await withStore([EMOJI_STORE, TRASH_STORE], 'readwrite', (emojiStore, trashStore) => {
+        entries.forEach(entry => trashStore.delete(entry.trashId));
+        records.forEach(record => emojiStore.put(record));
+    });
+    records.forEach(record => cache.set(record.id, toEmoji(record)));
+    return records.map(record => record.id);
+}
+
+/**
+ * Permanently delete emojis from the trash
+ * @param {number[]} [trashIds] Keys of the trash entries to delete, all of them if omitted
+ * @returns {Promise<Array>} The deleted entries, which `putTrashEntries` can bring back
+ */
+export async function deleteFromTrash(trashIds) {
+    const entries = await loadTrash();
+    const deletedEntries = trashIds ? entries.filter(entry => trashIds.includes(entry.trashId)) : entries;
+    await withStore(TRASH_STORE, 'readwrite', store => deletedEntries.forEach(entry => store.delete(entry.trashId)));
+    return deletedEntries;
+}
+
+/**
+ * Put entries back into the trash
+ * @param {Array} entries Entries returned by `deleteFromTrash`
+ * @returns {Promise<void>}
+ */
+export async function putTrashEntries(entries) {
+    await withStore(TRASH_STORE, 'readwrite', store => entries.forEach(entry => store.put(entry)));
+}
+
+/**
+ * Permanently delete emojis that were moved to the trash longer ago than the retention period
+ * @param {number} days Retention period
+ * @returns {Promise<Array>} The deleted entries
+ */
+export async function purgeTrash(days) {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expiredIds = (await loadTrash()).filter(entry => entry.deleted < cutoff).map(entry => entry.trashId);
+    return expiredIds.length > 0 ? deleteFromTrash(expiredIds) : [];
+}
+
+/**
+ * Move emojis saved by older versions from localStorage into IndexedDB.
+ * The localStorage entry is only removed once everything is written.
+ * @returns {Promise<number>} Number of migrated emojis
+ */
+export async function migrateFromLocalStorage() {
+    const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!stored) {
+        return 0;
+    }
+
+    const legacyEmojis = JSON.parse(stored);
+    if (!Array.isArray(legacyEmojis)) {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        return 0;
+    }
+
+    const now = Date.now();
+    const records = [];
+    for (const [index, emoji] of legacyEmojis.entries()) {
+        if (!emoji?.id || typeof emoji.src !== 'string') {
+            continue;
+        }
+        const record = {
+            id: emoji.id,
+            name: emoji.name || emoji.id,
+            keywords: Array.isArray(emoji.keywords) ? emoji.keywords : [],
+            pack: DEFAULT_PACK_ID,
+            added: now + index,
+        };
+        if (emoji.src.startsWith('data:')) {
+            record.blob = await dataURLToBlob(emoji.src);
+        } else {
+            record.url = emoji.src;
+        }
+        records.push(record);
+    }
+
+    // Emojis that were already broken are dropped instead of blocking the others
+    const { valid, invalid } = partitionValidEmojis(records.map(toRecord));
+    if (invalid.length > 0) {
+        console.warn(`Emoji Picker: skipped invalid emojis from localStorage:\n${formatEmojiErrors(invalid)}`);
+    }
+    await saveEmojis(valid);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return valid.length;
+}
+
+/**
+ * Load all packs, ordered by their position
+ * @returns {Promise<Array<{id: string, name: string, icon: string, order: number}>>}
+ */
+export async function loadPacks() {
+    if (!packCache) {
+        const packs = await withStore(PACK_STORE, 'readonly', store => promisifyRequest(store.getAll()));
+        packCache = new Map(packs.map(pack => [pack.id, pack]));
+        if (!packCache.has(DEFAULT_PACK_ID)) {
+            await savePacks([{ ...DEFAULT_PACK }]);
+        }
+    }
+    return Array.from(packCache.values()).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Save packs, replacing any existing ones with the same IDs
+ * @param {Array<{id: string, name: string, icon: string, order: number}>} packs
+ * @returns {Promise<void>}
+ */
+export async function savePacks(packs) {
+    await withStore(PACK_STORE, 'readwrite', store => packs.forEach(pack => store.put(pack)));
+    packs.forEach(pack => packCache?.set(pack.id, pack));
+}
+
+/**
+ * Remove a pack. Its emojis are moved to the default pack.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removePack(id) {
+    if (id === DEFAULT_PACK_ID) {
+        throw new Error('The default pack cannot be removed');
+    }
+    const records = (await loadEmojis())
+        .filter(emoji => emoji.pack === id)
+        .map(emoji => toRecord({ ...emoji, pack: DEFAULT_PACK_ID }));
+    // In one transaction, so emojis never point to a removed pack
+    await withStore([EMOJI_STORE, PACK_STORE], 'readwrite', (emojiStore, packStore) => {
+        records.forEach(record => emojiStore.put(record));
+        packStore.delete(id);
+    });
+    for (const record of records) {
+        cache.set(record.id, toEmoji(record, cache.get(record.id)));
+    }
+    packCache?.delete(id);
+}
+
+/**
+ * Load a value from the extension state, such as favorites or usage statistics
+ * @param {string} key
+ * @returns {Promise<any>} Stored value, or undefined if there is none
+ */
+export async function loadState(key) {
+    return withStore(STATE_STORE, 'readonly', store => promisifyRequest(store.get(key)));
+}
+
+/**
+ * Save a value to the extension state
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+export async function saveState(key, value) {
+    await withStore(STATE_STORE, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Get the storage usage reported by the browser
+ * @returns {Promise<{usage: number, quota: number}|null>}
+ */
+export async function getStorageUsage() {
+    if (!navigator.storage?.estimate) {
+        return null;
+    }
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
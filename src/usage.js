@@ -0,0 +1,169 @@
+// Favorites and usage statistics of emojis, both native and custom.
+// Kept in memory and written through to the extension database.
+
+import { loadState, saveState } from './storage';
+
+const USAGE_KEY = 'usage';
+const FAVORITES_KEY = 'favorites';
+const LEGACY_USAGE_STORAGE_KEY = 'custom_emoji_usage';
+
+/**
+ * @typedef {Object} EmojiUsage
+ * @property {number} count Number of times the emoji was inserted
+ * @property {number} lastUsed Time of the last insertion
+ */
+
+/** @type {Object<string, EmojiUsage>} */
+let usage = {};
+
+/** @type {string[]} */
+let favorites = [];
+
+/**
+ * Write a value in the background
+ * @param {string} key
+ * @param {any} value
+ */
+function persist(key, value) {
+    saveState(key, value).catch(error => console.error('Error saving emoji statistics:', error));
+}
+
+/**
+ * Load favorites and usage statistics. Usage kept in localStorage by older versions is merged in.
+ * @returns {Promise<void>}
+ */
+export async function loadEmojiStats() {
+    usage = (await loadState(USAGE_KEY)) ?? {};
+    favorites = (await loadState(FAVORITES_KEY)) ?? [];
+
+    const legacyUsage = localStorage.getItem(LEGACY_USAGE_STORAGE_KEY);
+    if (legacyUsage) {
+        try {
+            usage = { ...JSON.parse(legacyUsage), ...usage };
+            await saveState(USAGE_KEY, usage);
+        } catch (error) {
+            console.error('Error migrating emoji usage:', error);
+        }
+        localStorage.removeItem(LEGACY_USAGE_STORAGE_KEY);
+    }
+}
+
+/**
+ * Get the usage statistics of all emojis
+ * @returns {Object<string, EmojiUsage>}
+ */
+export function getEmojiUsage() {
+    return usage;
+}
+
+/**
+ * Count an insertion of an emoji
+ * @param {string} id
+ */
+export function recordEmojiUsage(id) {
+    usage = { ...usage, [id]: { count: (usage[id]?.count ?? 0) + 1, lastUsed: Date.now() } };
+    persist(USAGE_KEY, usage);
+}
+
+/**
+ * Get the most used emojis, most recently used first among equal counts
+ * @param {number} limit
+ * @returns {string[]}
+ */
+export function getFrequentEmojiIds(limit) {
+    return Object.entries(usage)
+        .sort(([, a], [, b]) => b.count - a.count || b.lastUsed - a.lastUsed)
+        .slice(0, limit)
+        .map(([id]) => id);
+}
+
+/**
+ * Forget all usage statistics
+ * @returns {Object<string, EmojiUsage>} The forgotten statistics, for `restoreEmojiUsage`
+ */
+export function clearEmojiUsage() {
+    const cleared = usage;
+    usage = {};
+    persist(USAGE_KEY, usage);
+    return cleared;
+}
+
+/**
+ * Bring back statistics forgotten by `clearEmojiUsage`, keeping uses recorded since then
+ * @param {Object<string, EmojiUsage>} cleared
+ */
+export function restoreEmojiUsage(cleared) {
+    const restored = { ...cleared };
+    for (const [id, entry] of Object.entries(usage)) {
+        const previous = restored[id];
+        restored[id] = previous
+            ? { count: previous.count + entry.count, lastUsed: Math.max(previous.lastUsed, entry.lastUsed) }
+            : entry;
+    }
+    usage = restored;
+    persist(USAGE_KEY, usage);
+}
+
+/**
+ * Get the favorite emojis in their pinned order
+ * @returns {string[]}
+ */
+export function getFavoriteEmojiIds() {
+    return [...favorites];
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isFavoriteEmoji(id) {
+    return favorites.includes(id);
+}
+
+/**
+ * Add an emoji to the end of the favorites, or remove it
+ * @param {string} id
+ * @param {boolean} favorite
+ */
+export function setFavoriteEmoji(id, favorite) {
+    if (favorite === isFavoriteEmoji(id)) {
+        return;
+    }
+    favorites = favorite ? [...favorites, id] : favorites.filter(favoriteId => favoriteId !== id);
+    persist(FAVORITES_KEY, favorites);
+}
+
+/**
+ * Move a favorite one position up or down
+ * @param {string} id
+ * @param {number} direction -1 to move up, 1 to move down
+ * @returns {boolean} Whether the favorite was moved
+ */
+export function moveFavoriteEmoji(id, direction) {
+    const index = favorites.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= favorites.length) {
+        return false;
+    }
+    favorites = [...favorites];
+    [favorites[index], favorites[target]] = [favorites[target], favorites[index]];
+    persist(FAVORITES_KEY, favorites);
+    return true;
+}
+
+/**
+ * Keep the favorite and statistics of an emoji whose ID was changed
+ * @param {string} oldId
+ * @param {string} newId
+ */
+export function renameEmojiStats(oldId, newId) {
+    if (usage[oldId]) {
+        const { [oldId]: oldUsage, ...otherUsage } = usage;
+        usage = { ...otherUsage, [newId]: oldUsage };
+        persist(USAGE_KEY, usage);
+    }
+    if (isFavoriteEmoji(oldId)) {
+        favorites = favorites.map(id => id === oldId ? newId : id);
+        persist(FAVORITES_KEY, favorites);
+    }
+}
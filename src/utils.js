@@ -0,0 +1,20 @@
+/**
+ * Escape a string for use in HTML markup
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Copy an object without some of its keys
+ * @param {Object} object
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+export function omit(object, keys) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
@@ -0,0 +1,82 @@
+// Scrolling list that only keeps the rows in view in the DOM.
+
+/**
+ * @typedef {Object} VirtualListItem
+ * @property {string} key Unique key of the row
+ * @property {any} value Data rendered by the row. Rows are reused while the key and value stay the same.
+ */
+
+/**
+ * Create a virtualized list with rows of a fixed height
+ * @param {HTMLElement} container Scrollable element with a limited height
+ * @param {Object} options
+ * @param {number} options.rowHeight Height of every row in pixels
+ * @param {(value: any, key: string) => HTMLElement} options.renderRow Creates the element of a row
+ * @param {number} [options.overscan] Number of extra rows rendered above and below the visible area
+ * @returns {{setItems: (items: VirtualListItem[]) => void, getItems: () => VirtualListItem[], scrollToKey: (key: string) => void}}
+ */
+export function createVirtualList(container, { rowHeight, renderRow, overscan = 6 }) {
+    const spacer = document.createElement('div');
+    spacer.classList.add('virtualListSpacer');
+    container.appendChild(spacer);
+
+    /** @type {VirtualListItem[]} */
+    let items = [];
+    /** @type {Map<string, {value: any, element: HTMLElement}>} */
+    let rendered = new Map();
+    let frame = null;
+
+    function render() {
+        frame = null;
+        // A hidden container has no height yet, render a screenful anyway
+        const viewportHeight = container.clientHeight || rowHeight * 20;
+        const first = Math.max(0, Math.floor(container.scrollTop / rowHeight) - overscan);
+        const last = Math.min(items.length, Math.ceil((container.scrollTop + viewportHeight) / rowHeight) + overscan);
+
+        const visible = new Map();
+        for (let index = first; index < last; index++) {
+            const { key, value } = items[index];
+            let row = rendered.get(key);
+            if (!row || row.value !== value) {
+                row?.element.remove();
+                row = { value, element: renderRow(value, key) };
+                row.element.style.height = `${rowHeight}px`;
+                spacer.appendChild(row.element);
+            }
+            row.element.style.top = `${index * rowHeight}px`;
+            rendered.delete(key);
+            visible.set(key, row);
+        }
+
+        rendered.forEach(row => row.element.remove());
+        rendered = visible;
+    }
+
+    container.addEventListener('scroll', () => {
+        if (frame === null) {
+            frame = requestAnimationFrame(render);
+        }
+    }, { passive: true });
+
+    return {
+        setItems(newItems) {
+            items = newItems;
+            spacer.style.height = `${items.length * rowHeight}px`;
+            render();
+        },
+        getItems() {
+            return items;
+        },
+        scrollToKey(key) {
+            const index = items.findIndex(item => item.key === key);
+            if (index === -1) {
+                return;
+            }
+            const top = index * rowHeight;
+            if (top < container.scrollTop || top + rowHeight > container.scrollTop + container.clientHeight) {
+                container.scrollTop = top;
+            }
+            render();
+        },
+    };
+}
@@ -0,0 +1,101 @@
+import { CONFLICT_ACTIONS, resolveEmojiConflicts, formatConflictSummary } from '../src/duplicates';
+
+const stored = [
+    { id: 'wave', name: 'Wave', keywords: ['hello'], pack: 'default' },
+    { id: 'smile', name: 'Smile', keywords: ['happy'], pack: 'default' },
+];
+
+function record(id, keywords = []) {
+    return { id, name: id, keywords, pack: 'imported' };
+}
+
+describe('resolveEmojiConflicts', () => {
+    test('adds emojis without conflicts', () => {
+        const { records, summary } = resolveEmojiConflicts([record('cat')], [], new Map(), stored);
+
+        expect(records).toEqual([record('cat')]);
+        expect(summary).toEqual({ added: 1, overwritten: 0, renamed: 0, merged: 0, skipped: 0 });
+    });
+
+    test('skips an emoji', () => {
+        const conflicts = [{ index: 0, sameId: stored[0] }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.SKIP]]);
+        const { records, summary } = resolveEmojiConflicts([record('wave'), record('cat')], conflicts, actions, stored);
+
+        expect(records.map(emoji => emoji.id)).toEqual(['cat']);
+        expect(summary).toMatchObject({ added: 1, skipped: 1 });
+    });
+
+    test('overwrites the emoji with the same ID', () => {
+        const conflicts = [{ index: 0, sameId: stored[0] }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.OVERWRITE]]);
+        const { records, summary } = resolveEmojiConflicts([record('wave', ['hi'])], conflicts, actions, stored);
+
+        expect(records).toEqual([record('wave', ['hi'])]);
+        expect(summary).toMatchObject({ overwritten: 1 });
+    });
+
+    test('overwrites an emoji with the same image under its own ID', () => {
+        const conflicts = [{ index: 0, sameImage: stored[1] }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.OVERWRITE]]);
+        const { records } = resolveEmojiConflicts([record('grin', ['joy'])], conflicts, actions, stored);
+
+        expect(records).toEqual([{ ...record('grin', ['joy']), id: 'smile' }]);
+    });
+
+    test('keeps both emojis by giving the new one a free ID', () => {
+        const conflicts = [{ index: 0, sameId: stored[0] }, { index: 1, sameId: stored[0] }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.KEEP_BOTH], [1, CONFLICT_ACTIONS.KEEP_BOTH]]);
+        const { records, summary } = resolveEmojiConflicts([record('wave'), record('wave')], conflicts, actions, [
+            ...stored,
+            { id: 'wave_2', name: 'Wave 2', keywords: [] },
+        ]);
+
+        expect(records.map(emoji => emoji.id)).toEqual(['wave_3', 'wave_4']);
+        expect(summary).toMatchObject({ renamed: 2 });
+    });
+
+    test('merges keywords into the emoji with the same image', () => {
+        const conflicts = [{ index: 0, sameId: stored[0], sameImage: stored[1] }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.MERGE]]);
+        const { records, summary } = resolveEmojiConflicts([record('wave', ['happy', 'joy'])], conflicts, actions, stored);
+
+        expect(records).toEqual([{ ...stored[1], keywords: ['happy', 'joy'] }]);
+        expect(summary).toMatchObject({ merged: 1 });
+    });
+
+    test('merges into an emoji added earlier in the same import', () => {
+        const conflicts = [{ index: 1, sameImage: { id: 'cat', name: 'cat', isNew: true } }];
+        const actions = new Map([[1, CONFLICT_ACTIONS.MERGE]]);
+        const { records, summary } = resolveEmojiConflicts([record('cat', ['meow']), record('kitty', ['pet'])], conflicts, actions, stored);
+
+        expect(records).toEqual([record('cat', ['meow', 'pet'])]);
+        expect(summary).toMatchObject({ added: 1, merged: 1 });
+    });
+
+    test('skips a merge whose target is skipped', () => {
+        const conflicts = [{ index: 0, sameId: stored[0] }, { index: 1, sameImage: { id: 'wave', name: 'wave', isNew: true } }];
+        const actions = new Map([[0, CONFLICT_ACTIONS.SKIP], [1, CONFLICT_ACTIONS.MERGE]]);
+        const { records, summary } = resolveEmojiConflicts([record('wave'), record('hi')], conflicts, actions, []);
+
+        expect(records).toEqual([]);
+        expect(summary).toMatchObject({ merged: 0, skipped: 2 });
+    });
+
+    test('uses the default action when none is chosen', () => {
+        const conflicts = [{ index: 0, sameId: stored[0] }, { index: 1, sameImage: stored[1] }];
+        const { records, summary } = resolveEmojiConflicts([record('wave'), record('grin', ['joy'])], conflicts, new Map(), stored);
+
+        expect(records.map(emoji => emoji.id)).toEqual(['wave', 'smile']);
+        expect(records[1].keywords).toEqual(['happy', 'joy']);
+        expect(summary).toMatchObject({ overwritten: 1, merged: 1 });
+    });
+});
+
+describe('formatConflictSummary', () => {
+    test('lists the non-zero counts', () => {
+        expect(formatConflictSummary({ added: 2, overwritten: 0, renamed: 1, merged: 0, skipped: 3 }))
+            .toBe('2 added, 1 added with a new ID, 3 skipped');
+        expect(formatConflictSummary({ added: 0, overwritten: 0, renamed: 0, merged: 0, skipped: 0 })).toBe('Nothing changed');
+    });
+});
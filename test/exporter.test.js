@@ -0,0 +1,59 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import { createExportArchive, MANIFEST_FILE } from '../src/exporter';
+import { parseImportFiles } from '../src/importers';
+
+const realFetch = global.fetch;
+const packs = [{ id: 'cats', name: 'Cats', icon: '🐱', order: 1 }];
+
+afterEach(() => {
+    global.fetch = realFetch;
+});
+
+async function readArchive(archive) {
+    return unzipSync(new Uint8Array(await archive.arrayBuffer()));
+}
+
+describe('createExportArchive', () => {
+    test('embeds images stored on the SillyTavern server and keeps links to other sites', async () => {
+        global.fetch = jest.fn(async () => new Response(new Blob(['server image'], { type: 'image/png' })));
+        const emojis = [
+            { id: 'synced', name: 'Synced', keywords: [], pack: 'cats', url: '/user/files/custom-emoji-synced-0123456789ab.png' },
+            { id: 'linked', name: 'Linked', keywords: [], pack: 'cats', url: 'https://example.com/linked.png' },
+        ];
+
+        const files = await readArchive(await createExportArchive(emojis, packs));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const manifest = JSON.parse(strFromU8(files[MANIFEST_FILE]));
+        expect(manifest.emojis[0]).toMatchObject({ id: 'synced', file: 'images/synced.png', type: 'image/png' });
+        expect(manifest.emojis[0].url).toBeUndefined();
+        expect(strFromU8(files['images/synced.png'])).toBe('server image');
+        expect(manifest.emojis[1]).toMatchObject({ id: 'linked', url: 'https://example.com/linked.png' });
+    });
+
+    test('fails when an image on the server cannot be loaded', async () => {
+        global.fetch = jest.fn(async () => new Response('', { status: 404, statusText: 'Not Found' }));
+        const emojis = [{ id: 'synced', name: 'Synced', keywords: [], pack: 'cats', url: '/user/files/custom-emoji-synced.png' }];
+
+        await expect(createExportArchive(emojis, packs)).rejects.toThrow('"synced"');
+    });
+
+    test('imports what it exported, including the order of the emojis', async () => {
+        const emojis = [
+            { id: 'second', name: 'Second', keywords: ['two'], pack: 'cats', added: 1, order: 1, blob: new Blob(['second image'], { type: 'image/png' }) },
+            { id: 'first', name: 'First', keywords: ['one'], pack: 'cats', added: 2, order: 0, blob: new Blob(['first image'], { type: 'image/gif' }) },
+        ];
+        const archive = await createExportArchive(emojis, packs);
+
+        const result = await parseImportFiles([new File([archive], 'custom_emojis.zip')]);
+
+        expect(result.packs).toEqual(packs);
+        expect(result.items).toEqual([
+            expect.objectContaining({ id: 'second', name: 'Second', keywords: ['two'], category: 'cats', added: 1, order: 1 }),
+            expect.objectContaining({ id: 'first', name: 'First', keywords: ['one'], category: 'cats', added: 2, order: 0 }),
+        ]);
+        expect(result.items.map(item => item.error)).toEqual([undefined, undefined]);
+        expect(await result.items[1].source.text()).toBe('first image');
+        expect(result.items[1].source.type).toBe('image/gif');
+    });
+});
@@ -0,0 +1,58 @@
+import { formatHotkey, matchesHotkey, normalizeHotkey } from '../src/hotkeys';
+
+describe('normalizeHotkey', () => {
+    test.each([
+        ['ctrl+shift+.', 'Ctrl+Shift+Period'],
+        ['Shift + Ctrl + Period', 'Ctrl+Shift+Period'],
+        ['Ctrl+,', 'Ctrl+Comma'],
+        ['alt+/', 'Alt+Slash'],
+        ['cmd+e', 'Meta+E'],
+        ['Ctrl+KeyE', 'Ctrl+E'],
+        ['Ctrl+1', 'Ctrl+1'],
+        ['ctrl+esc', 'Ctrl+Escape'],
+        ['f2', 'F2'],
+        ['', ''],
+    ])('turns %j into %j', (hotkey, expected) => {
+        expect(normalizeHotkey(hotkey)).toBe(expected);
+    });
+
+    test.each([
+        'Ctrl+!',
+        'Ctrl++',
+        'Ctrl',
+        'Ctrl+Foo',
+        'Hyper+E',
+    ])('refuses %j', (hotkey) => {
+        expect(normalizeHotkey(hotkey)).toBeNull();
+    });
+});
+
+describe('matchesHotkey', () => {
+    const event = { code: 'Period', ctrlKey: true, shiftKey: true, altKey: false, metaKey: false, isComposing: false };
+
+    test('matches a shortcut typed with punctuation', () => {
+        expect(formatHotkey(event)).toBe('Ctrl+Shift+Period');
+        expect(matchesHotkey(event, 'Ctrl+Shift+.')).toBe(true);
+    });
+
+    test.each([
+        'NumpadEqual',
+        'NumpadComma',
+        'IntlRo',
+        'IntlYen',
+        'Digit1',
+        'KeyE',
+        'Backquote',
+        'F13',
+    ])('matches a recorded %s key', (code) => {
+        const keyEvent = { ...event, code };
+        const recorded = formatHotkey(keyEvent);
+        expect(normalizeHotkey(recorded)).toBe(recorded);
+        expect(matchesHotkey(keyEvent, recorded)).toBe(true);
+    });
+
+    test('does not match a disabled or different shortcut', () => {
+        expect(matchesHotkey(event, '')).toBe(false);
+        expect(matchesHotkey(event, 'Ctrl+.')).toBe(false);
+    });
+});
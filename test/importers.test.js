@@ -0,0 +1,172 @@
+import { zipSync, strToU8 } from 'fflate';
+import { parseImportFiles, sanitizeEmojiId } from '../src/importers';
+
+/**
+ * Build a selected file, as from a folder picker when a path is given
+ * @param {string} path
+ * @param {string} content
+ * @param {string} [type]
+ * @returns {File}
+ */
+function createFile(path, content, type = '') {
+    const file = new File([content], path.split('/').pop(), { type });
+    Object.defineProperty(file, 'webkitRelativePath', { value: path.includes('/') ? path : '' });
+    return file;
+}
+
+/**
+ * @param {Object<string, string>} entries File contents by path
+ * @returns {File}
+ */
+function createZip(entries) {
+    const files = Object.fromEntries(Object.entries(entries).map(([path, content]) => [path, strToU8(content)]));
+    return new File([zipSync(files)], 'pack.zip', { type: 'application/zip' });
+}
+
+describe('sanitizeEmojiId', () => {
+    test.each([
+        ['party parrot', 'party_parrot'],
+        ['  wave!  ', 'wave'],
+        ['ok-hand_2', 'ok-hand_2'],
+        ['!!!', 'emoji'],
+    ])('turns %j into %j', (name, id) => {
+        expect(sanitizeEmojiId(name)).toBe(id);
+    });
+});
+
+describe('parseImportFiles', () => {
+    test('reads a Misskey pack', async () => {
+        const meta = {
+            emojis: [
+                { fileName: 'blobcat.png', emoji: { name: 'blobcat', aliases: ['cat', ''], category: 'Blobs' } },
+                { fileName: 'missing.png', emoji: { name: 'missing' } },
+                { fileName: 'skipped.png', downloaded: false, emoji: { name: 'skipped' } },
+            ],
+        };
+        const result = await parseImportFiles([createZip({ 'meta.json': JSON.stringify(meta), 'blobcat.png': 'cat image' })]);
+
+        expect(result.format).toBe('Misskey');
+        expect(result.items).toEqual([
+            expect.objectContaining({ id: 'blobcat', name: 'blobcat', keywords: ['cat'], category: 'Blobs' }),
+            expect.objectContaining({ id: 'missing', error: 'Image file "missing.png" not found' }),
+        ]);
+        expect(result.items[0].error).toBeUndefined();
+        expect(result.items[0].source.type).toBe('image/png');
+    });
+
+    test('reads a Pleroma pack and prefers pack.json over emoji.txt', async () => {
+        const result = await parseImportFiles([createZip({
+            'pack.json': JSON.stringify({ files: { blobfox: 'blobfox.webp' } }),
+            'emoji.txt': 'ignored, ignored.png',
+            'blobfox.webp': 'fox image',
+        })]);
+
+        expect(result.format).toBe('Pleroma');
+        expect(result.items).toEqual([expect.objectContaining({ id: 'blobfox', keywords: [] })]);
+        expect(result.items[0].source.type).toBe('image/webp');
+    });
+
+    test('reads a Pleroma emoji.txt with tags', async () => {
+        const result = await parseImportFiles([createZip({
+            'emoji.txt': '# comment\nblobfox, /blobfox.png, Foxes, cute\n',
+            'blobfox.png': 'fox image',
+        })]);
+
+        expect(result.items).toEqual([expect.objectContaining({ id: 'blobfox', keywords: ['Foxes', 'cute'], category: 'Foxes' })]);
+    });
+
+    test('reads a Discord emoji list', async () => {
+        const list = [{ id: '123456789012345678', name: 'pepe', animated: true }];
+        const result = await parseImportFiles([
+            createFile('server/emojis.json', JSON.stringify(list)),
+            createFile('server/123456789012345678.gif', 'pepe image'),
+        ]);
+
+        expect(result.name).toBe('server');
+        expect(result.format).toBe('Discord');
+        expect(result.items).toEqual([expect.objectContaining({ id: 'pepe' })]);
+        expect(result.items[0].source.type).toBe('image/gif');
+    });
+
+    test('turns plain images into emojis named after their files', async () => {
+        const result = await parseImportFiles([createZip({
+            'pack/Cats/cat smile_123456789012345678.png': 'cat image',
+            'pack/Cats/cat smile.jpg': 'another cat',
+            'pack/readme.txt': 'not an image',
+        })]);
+
+        expect(result.format).toBe('Discord');
+        expect(result.items.map(item => [item.id, item.category])).toEqual([['cat_smile', 'Cats'], ['cat_smile_2', 'Cats']]);
+    });
+
+    test('reads the JSON export of older versions', async () => {
+        const emojis = [{ id: 'wave', name: 'Wave', keywords: ['Wave', 'hello'], src: 'https://example.com/wave.png' }];
+        const result = await parseImportFiles([createFile('emojis.json', JSON.stringify(emojis))]);
+
+        expect(result.format).toBe('Emoji Picker');
+        expect(result.items).toEqual([expect.objectContaining({ id: 'wave', name: 'Wave', keywords: ['hello'], source: 'https://example.com/wave.png' })]);
+    });
+
+    test('marks invalid items and keeps the others', async () => {
+        const manifest = {
+            format: 'sillytavern-emoji-picker',
+            schemaVersion: 2,
+            packs: [],
+            emojis: [
+                { id: 'good', name: 'Good', keywords: [], url: 'https://example.com/good.png' },
+                { id: 'bad', name: 'Bad', keywords: [], url: 'ftp://example.com/bad.png' },
+                { id: 'huge', name: 'Huge', keywords: [], file: 'images/huge.png' },
+            ],
+        };
+        const result = await parseImportFiles([createZip({
+            'manifest.json': JSON.stringify(manifest),
+            'images/huge.png': 'x'.repeat(3 * 1024 * 1024),
+        })]);
+
+        expect(result.items.map(item => [item.id, Boolean(item.error)])).toEqual([['good', false], ['bad', true], ['huge', true]]);
+    });
+
+    test('reports a broken manifest without dropping the other files', async () => {
+        const result = await parseImportFiles([createZip({
+            'broken/meta.json': '{',
+            'good/meta.json': JSON.stringify({ emojis: [{ fileName: 'a.png', emoji: { name: 'a' } }] }),
+            'good/a.png': 'a image',
+        })]);
+
+        expect(result.items.map(item => item.id)).toEqual(['a']);
+        expect(result.errors).toEqual([expect.stringContaining('broken/meta.json')]);
+    });
+
+    test('fails when nothing can be imported', async () => {
+        await expect(parseImportFiles([createZip({ 'readme.txt': 'hello' })])).rejects.toThrow('No emojis found');
+        await expect(parseImportFiles([])).rejects.toThrow('No files selected');
+    });
+});
+
+describe('ZIP limits', () => {
+    test('refuses archives that are too large to read', async () => {
+        const file = { name: 'huge.zip', size: 300 * 1024 * 1024, arrayBuffer: jest.fn() };
+
+        await expect(parseImportFiles([file])).rejects.toThrow('larger than 200 MB');
+        expect(file.arrayBuffer).not.toHaveBeenCalled();
+    });
+
+    test('refuses archives with too many files', async () => {
+        const entries = Object.fromEntries(Array.from({ length: 5001 }, (_, index) => [`${index}.png`, '']));
+
+        await expect(parseImportFiles([createZip(entries)])).rejects.toThrow('more than 5000 files');
+    });
+
+    test('refuses archives whose files are too large when unpacked, before unpacking them', async () => {
+        const bytes = zipSync({ 'bomb.png': strToU8('small') });
+        // Claim a huge unpacked size in the central directory, as a ZIP bomb does
+        const view = new DataView(bytes.buffer);
+        for (let offset = 0; offset < bytes.length - 4; offset++) {
+            if (view.getUint32(offset, true) === 0x02014b50) {
+                view.setUint32(offset + 24, 0xfffffff0, true);
+            }
+        }
+
+        await expect(parseImportFiles([new File([bytes], 'bomb.zip')])).rejects.toThrow('larger than 500 MB when unpacked');
+    });
+});
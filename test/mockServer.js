@@ -0,0 +1,75 @@
+// Stand-in for the parts of the SillyTavern server used by the server sync:
+// uploading and deleting user files, and reading them back from /user/files/.
+
+import http from 'http';
+
+const CONTENT_TYPES = {
+    json: 'application/json',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+};
+
+/**
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<any>}
+ */
+async function readJSON(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Start a mock server on a free local port
+ * @returns {Promise<{url: string, files: Map<string, Buffer>, close: () => Promise<void>}>}
+ * `files` holds the uploaded files by name, and can be changed by tests
+ */
+export async function startMockServer() {
+    const files = new Map();
+
+    const server = http.createServer(async (request, response) => {
+        const send = (status, body, type = 'application/json') => {
+            response.writeHead(status, { 'Content-Type': type });
+            response.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+        };
+
+        try {
+            const { pathname } = new URL(request.url, 'http://localhost');
+            if (request.method === 'POST' && pathname === '/api/files/upload') {
+                const { name, data } = await readJSON(request);
+                if (!/^[a-zA-Z0-9_.-]+$/.test(name ?? '') || typeof data !== 'string') {
+                    return send(400, { error: 'Invalid file' });
+                }
+                files.set(name, Buffer.from(data, 'base64'));
+                return send(200, { path: `/user/files/${name}` });
+            }
+            if (request.method === 'POST' && pathname === '/api/files/delete') {
+                const { path } = await readJSON(request);
+                const name = String(path ?? '').replace(/^\/?user\/files\//, '');
+                return files.delete(name) ? send(200, {}) : send(404, { error: 'File not found' });
+            }
+            if (request.method === 'GET' && pathname.startsWith('/user/files/')) {
+                const name = decodeURIComponent(pathname.slice('/user/files/'.length));
+                if (!files.has(name)) {
+                    return send(404, 'Not found', 'text/plain');
+                }
+                return send(200, files.get(name), CONTENT_TYPES[name.split('.').pop()] ?? 'application/octet-stream');
+            }
+            return send(404, 'Not found', 'text/plain');
+        } catch (error) {
+            return send(500, { error: error.message });
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}`,
+        files,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}
@@ -0,0 +1,68 @@
+import { IDBFactory } from 'fake-indexeddb';
+
+/**
+ * Create the API over a fresh library
+ * @returns {{api: Object, events: Object}}
+ */
+function createApi() {
+    global.indexedDB = new IDBFactory();
+    let modules;
+    jest.isolateModules(() => {
+        modules = { publicApi: require('../src/publicApi'), events: require('../src/events') };
+    });
+    const events = modules.events.createEventEmitter();
+    const api = modules.publicApi.createPublicApi({
+        events,
+        saveEmojiChanges: jest.fn(),
+        trashEmojis: jest.fn(),
+        insertEmoji: jest.fn(),
+        openPicker: jest.fn(),
+        closePicker: jest.fn(),
+        onLibraryChanged: jest.fn(async () => {}),
+        onRegisteredPacksChanged: jest.fn(),
+        legacy: { loadCustomEmojis: jest.fn(async () => []) },
+    });
+    return { api, events };
+}
+
+const wave = { id: 'wave', name: 'Wave', source: 'https://example.com/wave.png' };
+
+describe('add', () => {
+    test('announces new emojis as added and replaced ones as updated', async () => {
+        const { api, events } = createApi();
+        const added = jest.fn();
+        const updated = jest.fn();
+        events.on('emoji:added', added);
+        events.on('emoji:updated', updated);
+
+        await api.add(wave);
+        await api.add({ ...wave, source: 'https://example.com/wave2.png' }, { overwrite: true });
+
+        expect(added).toHaveBeenCalledTimes(1);
+        expect(added).toHaveBeenCalledWith({ emoji: expect.objectContaining({ id: 'wave', url: 'https://example.com/wave.png' }) });
+        expect(updated).toHaveBeenCalledTimes(1);
+        expect(updated).toHaveBeenCalledWith({ emoji: expect.objectContaining({ id: 'wave', url: 'https://example.com/wave2.png' }), previousId: 'wave' });
+    });
+
+    test('refuses an existing ID without overwrite', async () => {
+        const { api } = createApi();
+        await api.add(wave);
+
+        await expect(api.add(wave)).rejects.toMatchObject({ code: api.ERROR_CODES.ALREADY_EXISTS });
+    });
+});
+
+describe('legacy functions', () => {
+    test('resolve to a boolean and warn once that they return promises', async () => {
+        const { api } = createApi();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(api.addCustomEmoji('wave', 'Wave', 'https://example.com/wave.png')).resolves.toBe(true);
+        await expect(api.addCustomEmoji('bad id', 'Bad', 'https://example.com/bad.png')).resolves.toBe(false);
+        await expect(api.removeCustomEmoji('missing')).resolves.toBe(false);
+
+        const deprecations = warn.mock.calls.filter(([message]) => String(message).includes('deprecated'));
+        warn.mockRestore();
+        expect(deprecations.map(([message]) => message.match(/EmojiPickerExtension\.(\w+)/)[1])).toEqual(['addCustomEmoji', 'removeCustomEmoji']);
+    });
+});
@@ -0,0 +1,29 @@
+import { getImageUrlError } from '../src/schema';
+
+describe('getImageUrlError', () => {
+    test.each([
+        'https://example.com/wave.png',
+        'http://example.com/images/wave.gif?size=64',
+        'data:image/png;base64,iVBORw0KGgo=',
+        '/user/files/custom-emoji-wave-0123456789ab.png',
+        'user/files/custom-emoji-wave.png',
+    ])('accepts %s', (url) => {
+        expect(getImageUrlError(url)).toBeNull();
+    });
+
+    test.each([
+        '',
+        'hello world',
+        'foo',
+        '../../etc',
+        '/characters/wave.png',
+        '/user/files/../secrets.json',
+        '/user/files/wave image.png',
+        '//example.com/wave.png',
+        'ftp://example.com/wave.png',
+        'blob:https://example.com/0000',
+        'data:text/html;base64,PGgxPg==',
+    ])('rejects %s', (url) => {
+        expect(getImageUrlError(url)).toEqual(expect.any(String));
+    });
+});
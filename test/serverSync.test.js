@@ -0,0 +1,222 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { startMockServer } from './mockServer';
+import { CONFLICT_ACTIONS } from '../src/duplicates';
+
+const MANIFEST_FILE = 'custom-emoji-picker.json';
+const realFetch = global.fetch;
+let server;
+
+beforeAll(async () => {
+    server = await startMockServer();
+    // The extension requests server paths, which are resolved against the page in a browser
+    global.fetch = (url, options) => realFetch(new URL(url, server.url), options);
+    global.window = {
+        SillyTavern: {
+            getContext: () => ({ getRequestHeaders: () => ({ 'Content-Type': 'application/json' }) }),
+        },
+    };
+    global.FileReader = class {
+        readAsDataURL(blob) {
+            blob.arrayBuffer().then(
+                buffer => this.onload({ target: { result: `data:${blob.type};base64,${Buffer.from(buffer).toString('base64')}` } }),
+                error => this.onerror(error),
+            );
+        }
+    };
+});
+
+afterAll(async () => {
+    global.fetch = realFetch;
+    delete global.window;
+    delete global.FileReader;
+    await server.close();
+});
+
+beforeEach(() => {
+    server.files.clear();
+});
+
+/**
+ * Load fresh copies of the storage and sync modules with an empty database, like a second browser
+ * @returns {{storage: typeof import('../src/storage'), sync: typeof import('../src/serverSync')}}
+ */
+function openBrowser() {
+    global.indexedDB = new IDBFactory();
+    let modules;
+    jest.isolateModules(() => {
+        modules = { storage: require('../src/storage'), sync: require('../src/serverSync') };
+    });
+    return modules;
+}
+
+/**
+ * @param {{storage: typeof import('../src/storage')}} browser
+ * @param {string} id
+ * @param {string} content Bytes of the fake image
+ */
+async function addEmoji({ storage }, id, content) {
+    const image = new Blob([content], { type: 'image/png' });
+    await storage.saveEmojis([await storage.toStoredEmoji(id, id, image, [`${id}_keyword`], storage.DEFAULT_PACK_ID)]);
+}
+
+function readManifest() {
+    return JSON.parse(server.files.get(MANIFEST_FILE).toString('utf8'));
+}
+
+function readServerImage(url) {
+    return server.files.get(url.replace(/^\/?user\/files\//, '')).toString('utf8');
+}
+
+describe('server sync', () => {
+    test('uploads the images and the manifest', async () => {
+        const browser = openBrowser();
+        await addEmoji(browser, 'wave', 'wave image');
+
+        await expect(browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() })).resolves.toBe(true);
+
+        const manifest = readManifest();
+        expect(manifest.emojis).toEqual([expect.objectContaining({ id: 'wave', keywords: ['wave_keyword'] })]);
+        expect(readServerImage(manifest.emojis[0].url)).toBe('wave image');
+        expect(manifest.packs.map(pack => pack.id)).toContain(browser.storage.DEFAULT_PACK_ID);
+
+        const [local] = await browser.storage.loadEmojis();
+        expect(local).toMatchObject({ id: 'wave', url: manifest.emojis[0].url, synced: true });
+        expect(local.blob).toBeUndefined();
+    });
+
+    test('loads the library into another browser', async () => {
+        const first = openBrowser();
+        await addEmoji(first, 'wave', 'wave image');
+        await first.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        const second = openBrowser();
+        const resolveConflicts = jest.fn();
+        await expect(second.sync.syncServerLibrary({ resolveConflicts })).resolves.toBe(true);
+
+        expect(resolveConflicts).not.toHaveBeenCalled();
+        const emojis = await second.storage.loadEmojis();
+        expect(emojis).toEqual([expect.objectContaining({ id: 'wave', url: readManifest().emojis[0].url, synced: true })]);
+    });
+
+    test('merges local emojis and trashes the ones the user does not keep', async () => {
+        const first = openBrowser();
+        await addEmoji(first, 'wave', 'server wave');
+        await first.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        const second = openBrowser();
+        await addEmoji(second, 'wave', 'local wave');
+        await addEmoji(second, 'smile', 'local smile');
+        const resolveConflicts = jest.fn(async (items, conflicts) => new Map(conflicts.map(conflict => [conflict.index, CONFLICT_ACTIONS.SKIP])));
+        await expect(second.sync.syncServerLibrary({ resolveConflicts })).resolves.toBe(true);
+
+        const [items, conflicts] = resolveConflicts.mock.calls[0];
+        expect(conflicts).toEqual([expect.objectContaining({ sameId: expect.objectContaining({ id: 'wave' }) })]);
+        expect(items[conflicts[0].index].id).toBe('wave');
+
+        const manifest = readManifest();
+        const serverWave = manifest.emojis.find(emoji => emoji.id === 'wave');
+        expect(readServerImage(serverWave.url)).toBe('server wave');
+        expect(readServerImage(manifest.emojis.find(emoji => emoji.id === 'smile').url)).toBe('local smile');
+
+        const emojis = await second.storage.loadEmojis();
+        expect(emojis.map(emoji => emoji.id).sort()).toEqual(['smile', 'wave']);
+        expect(emojis.find(emoji => emoji.id === 'wave').url).toBe(serverWave.url);
+
+        // The skipped local emoji can be restored
+        const trash = await second.storage.loadTrash();
+        expect(trash).toEqual([expect.objectContaining({ id: 'wave' })]);
+        expect(await trash[0].blob.text()).toBe('local wave');
+    });
+
+    test('moves emojis removed on the server to the trash', async () => {
+        const browser = openBrowser();
+        await addEmoji(browser, 'wave', 'wave image');
+        await addEmoji(browser, 'smile', 'smile image');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        // Another browser removed an emoji
+        const manifest = readManifest();
+        manifest.emojis = manifest.emojis.filter(emoji => emoji.id !== 'smile');
+        server.files.set(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest)));
+
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        expect((await browser.storage.loadEmojis()).map(emoji => emoji.id)).toEqual(['wave']);
+        expect((await browser.storage.loadTrash()).map(entry => entry.id)).toEqual(['smile']);
+    });
+
+    test('deletes uploaded images once their emojis are deleted from the trash', async () => {
+        const browser = openBrowser();
+        await addEmoji(browser, 'wave', 'wave image');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+        const { url } = readManifest().emojis[0];
+
+        // Removed in another browser
+        const manifest = readManifest();
+        manifest.emojis = [];
+        server.files.set(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest)));
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+        expect((await browser.storage.loadTrash()).map(entry => entry.id)).toEqual(['wave']);
+        expect(readServerImage(url)).toBe('wave image');
+
+        await browser.sync.deleteUnusedImages(await browser.storage.deleteFromTrash());
+        expect(server.files.has(url.replace('/user/files/', ''))).toBe(false);
+    });
+
+    test('keeps uploaded images that are still used when deleting from the trash', async () => {
+        const browser = openBrowser();
+        await addEmoji(browser, 'wave', 'wave image');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+        const [wave] = await browser.storage.loadEmojis();
+
+        await browser.sync.deleteUnusedImages([{ ...wave, id: 'old_wave' }]);
+        expect(readServerImage(wave.url)).toBe('wave image');
+    });
+
+    test('keeps entries of the manifest it cannot load', async () => {
+        const browser = openBrowser();
+        await addEmoji(browser, 'wave', 'wave image');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        const manifest = readManifest();
+        const broken = { id: 'broken id', name: 'Broken', keywords: [], pack: 'default', url: 'ftp://example.com/broken.png' };
+        const future = { schemaVersion: 99, id: 'future', name: 'Future', pack: 'default', url: '/user/files/custom-emoji-future-0123456789ab.png' };
+        manifest.emojis.push(broken, future);
+        server.files.set(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest)));
+        server.files.set('custom-emoji-future-0123456789ab.png', Buffer.from('future image'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() })).resolves.toBe(true);
+        // Later changes are uploaded without dropping them either
+        await addEmoji(browser, 'smile', 'smile image');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+        expect((await browser.storage.loadEmojis()).map(emoji => emoji.id).sort()).toEqual(['smile', 'wave']);
+        const emojis = readManifest().emojis;
+        expect(emojis.map(emoji => emoji.id).sort()).toEqual(['broken id', 'future', 'smile', 'wave']);
+        expect(emojis.find(emoji => emoji.id === 'future')).toEqual(future);
+        expect(readServerImage(future.url)).toBe('future image');
+    });
+
+    test('replaces an entry it cannot load with a local emoji of the same ID', async () => {
+        const browser = openBrowser();
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+        const manifest = readManifest();
+        manifest.emojis.push({ schemaVersion: 99, id: 'wave', name: 'Wave', pack: 'default', url: '/user/files/custom-emoji-wave-0123456789ab.png' });
+        server.files.set(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest)));
+        server.files.set('custom-emoji-wave-0123456789ab.png', Buffer.from('future wave'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await addEmoji(browser, 'wave', 'local wave');
+        await browser.sync.syncServerLibrary({ resolveConflicts: jest.fn() });
+        warn.mockRestore();
+
+        const [wave] = readManifest().emojis;
+        expect(readManifest().emojis).toHaveLength(1);
+        expect(wave.schemaVersion).not.toBe(99);
+        expect(readServerImage(wave.url)).toBe('local wave');
+        expect(server.files.has('custom-emoji-wave-0123456789ab.png')).toBe(false);
+    });
+});
@@ -0,0 +1,156 @@
+import { IDBFactory } from 'fake-indexeddb';
+
+/**
+ * Load a fresh copy of the storage module with an empty database
+ * @returns {typeof import('../src/storage')}
+ */
+function openStorage() {
+    global.indexedDB = new IDBFactory();
+    let storage;
+    jest.isolateModules(() => {
+        storage = require('../src/storage');
+    });
+    return storage;
+}
+
+/**
+ * @param {typeof import('../src/storage')} storage
+ * @param {string} id
+ * @param {string} content Bytes of the fake image
+ */
+async function addEmoji(storage, id, content) {
+    const image = new Blob([content], { type: 'image/png' });
+    await storage.saveEmojis([await storage.toStoredEmoji(id, id, image, [], storage.DEFAULT_PACK_ID)]);
+}
+
+/**
+ * Load another copy of the storage module on the database of the current one, like a reloaded page
+ * @returns {typeof import('../src/storage')}
+ */
+function reloadStorage() {
+    let storage;
+    jest.isolateModules(() => {
+        storage = require('../src/storage');
+    });
+    return storage;
+}
+
+async function readImages(entries) {
+    return Promise.all(entries.map(entry => entry.blob.text()));
+}
+
+describe('trash', () => {
+    test('moves emojis to the trash and restores them', async () => {
+        const storage = openStorage();
+        await addEmoji(storage, 'wave', 'wave image');
+        await addEmoji(storage, 'smile', 'smile image');
+
+        const trashIds = await storage.trashEmojis(['wave']);
+
+        expect((await storage.loadEmojis()).map(emoji => emoji.id)).toEqual(['smile']);
+        const trash = await storage.loadTrash();
+        expect(trash).toEqual([expect.objectContaining({ id: 'wave', trashId: trashIds[0], deleted: expect.any(Number) })]);
+
+        await expect(storage.restoreEmojis(trashIds)).resolves.toEqual(['wave']);
+        expect((await storage.loadEmojis()).map(emoji => emoji.id).sort()).toEqual(['smile', 'wave']);
+        expect(await storage.loadTrash()).toEqual([]);
+    });
+
+    test('keeps every emoji trashed under the same ID', async () => {
+        const storage = openStorage();
+        await addEmoji(storage, 'wave', 'first wave');
+        const [firstId] = await storage.trashEmojis(['wave']);
+        await addEmoji(storage, 'wave', 'second wave');
+        const [secondId] = await storage.trashEmojis(['wave']);
+
+        expect(secondId).not.toBe(firstId);
+        expect((await readImages(await storage.loadTrash())).sort()).toEqual(['first wave', 'second wave']);
+
+        // The second one gets a new ID, because the first one took its ID again
+        const restoredIds = await storage.restoreEmojis([firstId, secondId]);
+        expect(restoredIds[0]).toBe('wave');
+        expect(restoredIds[1]).not.toBe('wave');
+        const emojis = await storage.loadEmojis();
+        expect(await emojis.find(emoji => emoji.id === 'wave').blob.text()).toBe('first wave');
+        expect(await emojis.find(emoji => emoji.id === restoredIds[1]).blob.text()).toBe('second wave');
+    });
+
+    test('deletes entries for good and puts them back', async () => {
+        const storage = openStorage();
+        await addEmoji(storage, 'wave', 'wave image');
+        await addEmoji(storage, 'smile', 'smile image');
+        const trashIds = await storage.trashEmojis(['wave', 'smile']);
+
+        const deleted = await storage.deleteFromTrash([trashIds[0]]);
+        expect(deleted.map(entry => entry.id)).toEqual(['wave']);
+        expect((await storage.loadTrash()).map(entry => entry.id)).toEqual(['smile']);
+
+        await storage.putTrashEntries(deleted);
+        expect((await storage.loadTrash()).map(entry => entry.id).sort()).toEqual(['smile', 'wave']);
+    });
+
+    test('purges entries older than the retention period', async () => {
+        const storage = openStorage();
+        await addEmoji(storage, 'wave', 'wave image');
+        await addEmoji(storage, 'smile', 'smile image');
+        const [oldId] = await storage.trashEmojis(['wave']);
+        const [old] = await storage.deleteFromTrash([oldId]);
+        await storage.putTrashEntries([{ ...old, deleted: Date.now() - 31 * 24 * 60 * 60 * 1000 }]);
+        await storage.trashEmojis(['smile']);
+
+        const purged = await storage.purgeTrash(30);
+
+        expect(purged.map(entry => entry.id)).toEqual(['wave']);
+        expect((await storage.loadTrash()).map(entry => entry.id)).toEqual(['smile']);
+    });
+
+    test('gives the trash of older versions its own keys', async () => {
+        global.indexedDB = new IDBFactory();
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.open('SillyTavern-CustomEmojiPicker', 5);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('emojis', { keyPath: 'id' });
+                db.createObjectStore('packs', { keyPath: 'id' }).put({ id: 'default', name: 'Custom', icon: '⭐', order: 0 });
+                db.createObjectStore('state');
+                db.createObjectStore('trash', { keyPath: 'id' })
+                    .put({ schemaVersion: 1, id: 'wave', name: 'wave', keywords: [], pack: 'default', url: 'https://example.com/wave.png', deleted: 1 });
+            };
+            request.onsuccess = () => {
+                request.result.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        const storage = reloadStorage();
+
+        const [entry] = await storage.loadTrash();
+        expect(entry).toMatchObject({ id: 'wave', url: 'https://example.com/wave.png', deleted: 1, trashId: expect.any(Number) });
+        await expect(storage.restoreEmojis([entry.trashId])).resolves.toEqual(['wave']);
+    });
+});
+
+describe('packs', () => {
+    test('moves the emojis of a removed pack to the default pack', async () => {
+        const storage = openStorage();
+        await storage.savePacks([{ id: 'cats', name: 'Cats', icon: '🐱', order: 1 }]);
+        const image = new Blob(['cat image'], { type: 'image/png' });
+        await storage.saveEmojis([await storage.toStoredEmoji('cat', 'Cat', image, [], 'cats')]);
+
+        await storage.removePack('cats');
+
+        expect((await storage.loadPacks()).map(pack => pack.id)).toEqual([storage.DEFAULT_PACK_ID]);
+        expect(await storage.loadEmojis()).toEqual([expect.objectContaining({ id: 'cat', pack: storage.DEFAULT_PACK_ID })]);
+
+        // The stored copy matches, not only the cache
+        const reloaded = reloadStorage();
+        expect(await reloaded.loadEmojis()).toEqual([expect.objectContaining({ id: 'cat', pack: storage.DEFAULT_PACK_ID })]);
+        expect((await reloaded.loadPacks()).map(pack => pack.id)).toEqual([storage.DEFAULT_PACK_ID]);
+    });
+
+    test('refuses to remove the default pack', async () => {
+        const storage = openStorage();
+
+        await expect(storage.removePack(storage.DEFAULT_PACK_ID)).rejects.toThrow('cannot be removed');
+    });
+});